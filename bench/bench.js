@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * bench.js – Times full generations with the current engine against the
+ * previous one, read from git so no second copy of it is kept.
+ *
+ *   npm run bench                       # default sizes
+ *   npm run bench -- 50x40 200x150      # pick sizes
+ *   npm run bench -- --seeds 5 --skip-legacy 600x400
+ *   npm run bench -- --legacy-ref v1.0  # compare against another revision
+ *
+ * The previous engine is public/wfc.js just before the commit that dropped
+ * its byte-array bit sets (LEGACY_MARKER) – found by content, so it survives
+ * rebases and merges – or at `--legacy-ref`.  When neither gives an engine
+ * that takes a ruleset, the bench stops with an error rather than leave the
+ * comparison out; `--skip-legacy` runs the current engine alone.
+ *
+ * Every size runs the same seeds through both engines and prints the mean
+ * time per map.  The legacy engine gets slow quickly, so it is skipped above
+ * LEGACY_MAX_CELLS unless asked for explicitly with --legacy.
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+
+import { WFCGrid } from "../public/wfc.js";
+import { compileRuleset } from "../public/ruleset.js";
+
+const DEFAULT_SIZES = ["30x20", "60x40", "100x80", "200x150", "300x300"];
+const LEGACY_MAX_CELLS = 100 * 80;
+
+/** Code only the legacy engine has; the commit that removed it is the rewrite. */
+const LEGACY_MARKER = "function bitsNew(";
+
+const ruleset = compileRuleset(
+  JSON.parse(readFileSync(new URL("../public/rulesets/default.json", import.meta.url), "utf8")),
+);
+
+/** Run one map to completion; returns { ms, ok }. */
+function time(Engine, width, height, seed) {
+  const t0 = performance.now();
+  const grid = new Engine(width, height, { ruleset, seed, maxBacktracks: 1000 });
+  let last = null;
+  for (const event of grid.run(Math.floor(height / 2) * width + Math.floor(width / 2))) last = event;
+  return { ms: performance.now() - t0, ok: last?.type === "done" };
+}
+
+function bench(Engine, width, height, seeds) {
+  let total = 0, failed = 0;
+  for (let seed = 1; seed <= seeds; seed++) {
+    const { ms, ok } = time(Engine, width, height, seed);
+    total += ms;
+    if (!ok) failed++;
+  }
+  return { ms: total / seeds, failed };
+}
+
+/**
+ * The legacy engine's WFCGrid, from `ref` or else found by LEGACY_MARKER.
+ * It is written to a temporary file with its sibling imports pointed back at
+ * public/, and imported from there.  Throws when git can't give it.
+ */
+async function loadLegacy(ref) {
+  const root = fileURLToPath(new URL("..", import.meta.url));
+  const git = (...args) => execFileSync("git", args, {
+    cwd: root, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"],
+  });
+  if (!ref) {
+    let rewrite;
+    try {
+      rewrite = git("log", "-1", "--format=%H", "-S", LEGACY_MARKER, "--", "public/wfc.js").trim();
+    } catch (err) {
+      throw new Error(`Can't read the legacy engine from git: ${err.stderr?.trim() || err.message}`);
+    }
+    if (!rewrite) throw new Error(`No commit removed "${LEGACY_MARKER}" from public/wfc.js; pass --legacy-ref`);
+    ref = `${rewrite}^`;
+  }
+  let source;
+  try {
+    source = git("show", `${ref}:public/wfc.js`);
+  } catch (err) {
+    throw new Error(`Can't read public/wfc.js at ${ref}: ${err.stderr?.trim() || err.message}`);
+  }
+  // Older engines had the tile catalogue built in and can't run the same maps
+  if (!source.includes(LEGACY_MARKER) || !source.includes("ruleset")) {
+    throw new Error(`public/wfc.js at ${ref} isn't the legacy ruleset-driven engine; pass --legacy-ref`);
+  }
+  const publicDir = pathToFileURL(join(root, "public/")).href;
+  source = source.replace(/from "\.\/([\w-]+\.js)"/g, (_, file) => `from "${publicDir}${file}"`);
+
+  const dir = mkdtempSync(join(tmpdir(), "spg-bench-"));
+  try {
+    const file = join(dir, "legacy-wfc.js");
+    writeFileSync(file, source);
+    return (await import(pathToFileURL(file).href)).WFCGrid;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    seeds: { type: "string", default: "3" },
+    legacy: { type: "boolean", default: false },
+    "skip-legacy": { type: "boolean", default: false },
+    "legacy-ref": { type: "string" },
+  },
+});
+
+const seeds = Math.max(1, parseInt(values.seeds, 10) || 1);
+const sizes = (positionals.length ? positionals : DEFAULT_SIZES).map(s => {
+  const m = /^(\d+)x(\d+)$/.exec(s);
+  if (!m) throw new Error(`Size must look like 60x40, got "${s}"`);
+  return [+m[1], +m[2]];
+});
+
+const wantLegacy = !values["skip-legacy"] &&
+  sizes.some(([w, h]) => values.legacy || w * h <= LEGACY_MAX_CELLS);
+let LegacyGrid = null;
+try {
+  if (wantLegacy) LegacyGrid = await loadLegacy(values["legacy-ref"]);
+} catch (err) {
+  console.error(`${err.message}\n(--skip-legacy runs the current engine alone)`);
+  process.exit(1);
+}
+
+console.log(`${seeds} seed(s) per size, times are mean ms per map\n`);
+console.log("size        cells     legacy        new   speed-up");
+for (const [width, height] of sizes) {
+  const cells = width * height;
+  const runLegacy = LegacyGrid && (values.legacy || cells <= LEGACY_MAX_CELLS);
+  const now = bench(WFCGrid, width, height, seeds);
+  const old = runLegacy ? bench(LegacyGrid, width, height, seeds) : null;
+
+  const fmt = r => r ? `${r.ms.toFixed(1)}${r.failed ? ` (${r.failed}✗)` : ""}` : "–";
+  console.log(
+    `${`${width}x${height}`.padEnd(10)}${String(cells).padStart(7)}` +
+    `${fmt(old).padStart(11)}${fmt(now).padStart(11)}` +
+    `${old ? `${(old.ms / now.ms).toFixed(1)}×`.padStart(11) : ""}`,
+  );
+}
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+/**
+ * super-position-grid – headless batch map generation.
+ *
+ *   npx super-position-grid generate --width 100 --height 80 --seed 42 \
+ *       --start 10,10 --format png --count 50 --out maps/
+ *
+ * Drives `WFCGrid.run` to completion without animation and writes one file
+ * per map.  `--count N` generates seeds seed, seed+1, … seed+N-1 so every map
+ * in a batch can be recreated on its own (in the browser too).
+ *
+ *   npx super-position-grid learn --sample map.json --model patterns \
+ *       --pattern 3 --out learned.json
+ *
+ * Learns a ruleset from a saved map (see public/sample.js); pass it back
+ * to `generate --ruleset`.
+ *
+ *   npx super-position-grid analyse --ruleset rules.json --sizes 20x14,60x40
+ *
+ * Reports tiles that can never appear, one-sided adjacency rules and the
+ * contradiction rate per grid size (see public/analyser.js); exits with 1
+ * when any tile is dead.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { deflateSync } from "node:zlib";
+
+import { WFCGrid, WRAP_MODES } from "../public/wfc.js";
+import { compileRuleset, tileLabel } from "../public/ruleset.js";
+import { EXPORT_FORMATS, DEFAULT_TILE_SIZE, tilesetPNG } from "../public/export.js";
+import { normaliseSeed, randomSeed } from "../public/rng.js";
+import { HEURISTICS, DEFAULT_HEURISTIC, getHeuristic } from "../public/heuristics.js";
+import { learnRuleset, SAMPLE_MODELS, PATTERN_SIZES } from "../public/sample.js";
+import { TOPOLOGIES, DEFAULT_TOPOLOGY, getTopology } from "../public/topology.js";
+import { analyseRuleset, measureContradictions, DEFAULT_SIZES, DEFAULT_RUNS } from "../public/analyser.js";
+import { describeExplanation } from "../public/explain.js";
+import { normaliseConstraints } from "../public/constraints.js";
+
+const DEFAULT_RULESET = new URL("../public/rulesets/default.json", import.meta.url);
+
+const FORMATS = {
+  json: { ext: "json", write: grid => JSON.stringify(grid.toJSON()) },
+  ...Object.fromEntries(EXPORT_FORMATS.map(f => [f.id, f])),
+};
+
+/** Tileset image the Tiled formats share, written once per batch. */
+const TILESET_FILE = "tileset.png";
+
+const USAGE = `Usage: super-position-grid generate [options]
+       super-position-grid learn --sample <map.json> [options]
+       super-position-grid analyse [options]
+
+Generate options:
+  --width <n>        Grid columns (default 40)
+  --height <n>       Grid rows (default 30)
+  --seed <seed>      Seed of the first map (default: random)
+  --count <n>        Number of maps; seeds increase by one (default 1)
+  --start <x,y>      Start cell (default: grid centre)
+  --format <fmt>     ${Object.keys(FORMATS).join(" | ")} (default json)
+  --scale <n>        Pixels per cell for png and svg (default 4)
+  --tile-size <n>    Tile width for tmx and tmj, in pixels (default ${DEFAULT_TILE_SIZE})
+  --backtracks <n>   Backtrack budget per map (default 1000)
+  --wrap <mode>      Wrap edges: ${WRAP_MODES.join(" | ")} (default none)
+  --topology <id>    Cell shape: ${TOPOLOGIES.map(t => t.id).join(" | ")} (default: the
+                     ruleset's own, else ${DEFAULT_TOPOLOGY})
+  --heuristic <id>   Cell selection: ${HEURISTICS.map(h => h.id).join(" | ")} (default ${DEFAULT_HEURISTIC})
+  --ruleset <file>   Ruleset JSON (default: bundled terrain rules)
+  --constraints <file>
+                     Global constraints JSON array, replacing the ruleset's
+                     (see public/constraints.js)
+  --out <dir>        Output directory (default ./maps)
+  --explain          Explain each contradiction: how the cell lost its options
+  -h, --help         Show this help
+
+Learn options:
+  --sample <file>    Saved map (generate --format json, or Save in the browser)
+  --model <id>       ${SAMPLE_MODELS.map(m => m.id).join(" | ")} (default tiles)
+  --pattern <n>      Pattern size for the patterns model: ${PATTERN_SIZES.join(" | ")} (default 3)
+  --ruleset <file>   Ruleset the map was made with (default: bundled terrain rules)
+  --out <file>       Learned ruleset JSON (default: stdout)
+
+Analyse options:
+  --ruleset <file>   Ruleset to check (default: bundled terrain rules)
+  --sizes <list>     Grid sizes to measure (default ${DEFAULT_SIZES.map(s => s.join("x")).join(",")})
+  --runs <n>         Maps per size (default ${DEFAULT_RUNS})
+  --constraints <file>
+                     Global constraints to measure with, as for generate
+  --seed <seed>      Seed of the first map per size (default 1)
+  --backtracks <n>   Backtrack budget per map (default 0: the raw rate)
+  --topology, --wrap, --heuristic as for generate
+`;
+
+// ── Generation ──────────────────────────────────────────────────────────────
+
+/**
+ * Run one map to completion; returns { grid, ok, ms }, plus `explanation`
+ * (see WFCGrid.explainCell) for a failed map when `opts.explain` is set.
+ */
+function generate(opts, seed) {
+  const t0 = performance.now();
+  const grid = new WFCGrid(opts.width, opts.height, {
+    ruleset: opts.ruleset,
+    seed,
+    maxBacktracks: opts.backtracks,
+    heuristic: opts.heuristic,
+    wrap: opts.wrap,
+    topology: opts.topology,
+    globalConstraints: opts.constraints,
+  });
+  let last = null;
+  for (const event of grid.run(opts.start)) last = event;
+  const ok = last?.type === "done";
+  const explanation = !ok && opts.explain ? grid.explainCell(last.idx) : undefined;
+  return { grid, ok, ms: performance.now() - t0, explanation };
+}
+
+function printExplanation(grid, explanation) {
+  const { title, steps, truncated, removals } = describeExplanation(grid, explanation);
+  console.log(`    ${title}:`);
+  if (truncated) console.log("      … (the chain goes back further)");
+  for (const step of steps) console.log(`      ${step.text}`);
+  console.log("    Every option it lost:");
+  for (const line of removals) console.log(`      ${line}`);
+}
+
+function int(value, name, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new Error(`--${name} must be an integer between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function parseOptions(values) {
+  const width = int(values.width ?? 40, "width", 1, 2000);
+  const height = int(values.height ?? 30, "height", 1, 2000);
+
+  let start = Math.floor(height / 2) * width + Math.floor(width / 2);
+  if (values.start !== undefined) {
+    const m = /^(\d+),(\d+)$/.exec(values.start);
+    if (!m || +m[1] >= width || +m[2] >= height) {
+      throw new Error("--start must be x,y inside the grid");
+    }
+    start = +m[2] * width + +m[1];
+  }
+
+  const format = values.format ?? "json";
+  if (!FORMATS[format]) throw new Error(`--format must be one of ${Object.keys(FORMATS).join(", ")}`);
+
+  const wrap = values.wrap ?? "none";
+  if (!WRAP_MODES.includes(wrap)) throw new Error(`--wrap must be one of ${WRAP_MODES.join(", ")}`);
+  const ruleset = readRuleset(values.ruleset);
+  const topology = readTopology(values.topology, ruleset).id;
+
+  return {
+    width,
+    height,
+    start,
+    format,
+    wrap,
+    topology,
+    ruleset,
+    constraints: readConstraints(values.constraints, ruleset),
+    seed: normaliseSeed(values.seed ?? randomSeed()),
+    count: int(values.count ?? 1, "count", 1, 100000),
+    scale: int(values.scale ?? 4, "scale", 1, 64),
+    tileSize: int(values["tile-size"] ?? DEFAULT_TILE_SIZE, "tile-size", 4, 256),
+    tileset: TILESET_FILE,
+    deflate: deflateSync,
+    backtracks: int(values.backtracks ?? 1000, "backtracks", 0, 1e9),
+    heuristic: getHeuristic(values.heuristic ?? DEFAULT_HEURISTIC),
+    out: values.out ?? "maps",
+    explain: values.explain ?? false,
+  };
+}
+
+function readRuleset(path = DEFAULT_RULESET) {
+  return compileRuleset(JSON.parse(readFileSync(path, "utf8")));
+}
+
+/** The ruleset's own topology when it has one, else `id` or the default. */
+function readTopology(id, ruleset) {
+  if (ruleset.topology && id !== undefined && id !== ruleset.topology) {
+    throw new Error(`--topology must be ${ruleset.topology} for ruleset "${ruleset.id}"`);
+  }
+  return getTopology(ruleset.topology ?? id ?? DEFAULT_TOPOLOGY);
+}
+
+/** Constraints from `path`, or undefined to keep the ruleset's own. */
+function readConstraints(path, ruleset) {
+  if (path === undefined) return undefined;
+  return normaliseConstraints(JSON.parse(readFileSync(path, "utf8")), ruleset.terrains);
+}
+
+// ── Learning ────────────────────────────────────────────────────────────────
+
+function learn(values) {
+  if (values.sample === undefined) throw new Error("learn needs --sample <map.json>");
+  const doc = JSON.parse(readFileSync(values.sample, "utf8"));
+  const grid = WFCGrid.fromJSON(doc, { ruleset: readRuleset(values.ruleset) });
+  const model = values.model ?? "tiles";
+  const n = int(values.pattern ?? 3, "pattern", 1, 16);
+  const learned = learnRuleset(grid.ruleset, { width: grid.width, height: grid.height, tiles: grid.collapsed },
+    { model, n, wrap: grid.wrap, topology: grid.topology.id });
+
+  const json = JSON.stringify(learned, null, 2) + "\n";
+  if (values.out === undefined) {
+    process.stdout.write(json);
+  } else {
+    writeFileSync(values.out, json);
+    console.error(`${learned.name}: ${learned.tiles.length} tiles → ${values.out}`);
+  }
+  return 0;
+}
+
+// ── Analysis ────────────────────────────────────────────────────────────────
+
+/** Findings listed in full before the rest are summed up. */
+const REPORT_MAX_ITEMS = 20;
+
+function analyse(values) {
+  const ruleset = readRuleset(values.ruleset);
+  const topology = readTopology(values.topology, ruleset);
+  const wrap = values.wrap ?? "none";
+  if (!WRAP_MODES.includes(wrap)) throw new Error(`--wrap must be one of ${WRAP_MODES.join(", ")}`);
+  const sizes = values.sizes === undefined ? DEFAULT_SIZES : values.sizes.split(",").map(size => {
+    const m = /^(\d+)x(\d+)$/.exec(size.trim());
+    if (!m) throw new Error(`--sizes must look like 20x14,60x40, got "${size}"`);
+    return [int(m[1], "sizes", 1, 2000), int(m[2], "sizes", 1, 2000)];
+  });
+  const options = {
+    runs: int(values.runs ?? DEFAULT_RUNS, "runs", 1, 100000),
+    seed: normaliseSeed(values.seed ?? 1),
+    maxBacktracks: int(values.backtracks ?? 0, "backtracks", 0, 1e9),
+    heuristic: getHeuristic(values.heuristic ?? DEFAULT_HEURISTIC).id,
+    wrap,
+    topology: topology.id,
+    globalConstraints: readConstraints(values.constraints, ruleset),
+  };
+
+  const label = t => tileLabel(ruleset, t);
+  const report = (ok, text, items = []) => {
+    console.log(`${ok ? "✓" : "✗"} ${text}`);
+    for (const item of items.slice(0, REPORT_MAX_ITEMS)) console.log(`    ${item}`);
+    if (items.length > REPORT_MAX_ITEMS) console.log(`    … and ${items.length - REPORT_MAX_ITEMS} more`);
+  };
+
+  const { dead, edgeBound, asymmetric } = analyseRuleset(ruleset, { topology: topology.id });
+  console.log(`${ruleset.name} – ${ruleset.tiles.length} tiles, ${topology.name.toLowerCase()} grid\n`);
+  report(dead.length === 0,
+    dead.length === 0 ? "Every tile can appear" : `${dead.length} tiles can never appear`,
+    dead.map(d => `${label(d.tile)}: ${d.reason}`));
+  if (edgeBound.length > 0) report(false, `${edgeBound.length} tiles can only appear near an edge`, edgeBound.map(label));
+  if (!ruleset.axes) {
+    report(asymmetric.length === 0,
+      asymmetric.length === 0 ? "Every adjacency rule is mutual" : `${asymmetric.length} one-sided adjacency rules (never used)`,
+      asymmetric.map(({ a, b }) => `${label(a)} allows ${label(b)}, but not the other way round`));
+  }
+
+  console.log(`\nContradictions – ${options.runs} maps per size, backtrack budget ${options.maxBacktracks}:`);
+  console.log(`${"size".padEnd(10)}${"maps".padStart(6)}${"failed".padStart(11)}${"backtracks".padStart(13)}${"ms/map".padStart(10)}`);
+  for (const [width, height] of sizes) {
+    const r = measureContradictions(ruleset, width, height, options);
+    const failed = `${r.contradictions} (${(100 * r.rate).toFixed(0)}%)`;
+    console.log(
+      `${`${width}x${height}`.padEnd(10)}${String(r.runs).padStart(6)}${failed.padStart(11)}` +
+      `${r.backtracks.toFixed(1).padStart(13)}${r.ms.toFixed(0).padStart(10)}` +
+      (r.failedSeeds.length ? `   seeds ${r.failedSeeds.slice(0, 5).join(", ")}${r.failedSeeds.length > 5 ? ", …" : ""}` : ""),
+    );
+  }
+  return dead.length > 0 ? 1 : 0;
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      width: { type: "string" },
+      height: { type: "string" },
+      seed: { type: "string" },
+      count: { type: "string" },
+      start: { type: "string" },
+      format: { type: "string" },
+      scale: { type: "string" },
+      "tile-size": { type: "string" },
+      backtracks: { type: "string" },
+      heuristic: { type: "string" },
+      wrap: { type: "string" },
+      topology: { type: "string" },
+      ruleset: { type: "string" },
+      constraints: { type: "string" },
+      out: { type: "string" },
+      sample: { type: "string" },
+      model: { type: "string" },
+      pattern: { type: "string" },
+      sizes: { type: "string" },
+      runs: { type: "string" },
+      explain: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help || !["generate", "learn", "analyse"].includes(positionals[0])) {
+    process.stdout.write(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (positionals[0] === "learn") return learn(values);
+  if (positionals[0] === "analyse") return analyse(values);
+
+  const opts = parseOptions(values);
+  const { ext, write, tileset } = FORMATS[opts.format];
+  mkdirSync(opts.out, { recursive: true });
+  let tilesetWritten = false;
+
+  let failures = 0;
+  let totalMs = 0;
+  let totalBacktracks = 0;
+  for (let i = 0; i < opts.count; i++) {
+    const seed = (opts.seed + i) >>> 0;
+    const { grid, ok, ms, explanation } = generate(opts, seed);
+    totalMs += ms;
+    totalBacktracks += grid.backtracks;
+
+    const name = `map-${seed}.${ext}`;
+    if (ok) {
+      writeFileSync(join(opts.out, name), write(grid, opts));
+      if (tileset && !tilesetWritten) {
+        writeFileSync(join(opts.out, TILESET_FILE), tilesetPNG(grid, opts));
+        tilesetWritten = true;
+      }
+    } else {
+      failures++;
+    }
+    console.log(
+      `${ok ? "✓" : "✗"} ${ok ? name : `seed ${seed}: contradiction`}  ` +
+      `${opts.width}×${opts.height}  ${ms.toFixed(0)} ms  ${grid.backtracks} backtracks`
+    );
+    if (explanation) printExplanation(grid, explanation);
+  }
+
+  const done = opts.count - failures;
+  console.log(
+    `\n${done}/${opts.count} maps written to ${opts.out} · ` +
+    `${failures} contradictions (${(100 * failures / opts.count).toFixed(1)}%) · ` +
+    `${(totalMs / 1000).toFixed(2)} s total, ${(totalMs / opts.count).toFixed(0)} ms/map · ` +
+    `${totalBacktracks} backtracks`
+  );
+  return failures === opts.count ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`error: ${err.message}`);
+  process.exitCode = 2;
+}
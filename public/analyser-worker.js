@@ -0,0 +1,31 @@
+/**
+ * analyser-worker.js – Measures contradiction rates (see analyser.js) off
+ * the main thread.
+ *
+ *   page → worker
+ *     { type: "measure", ruleset, sizes, options }  – ruleset JSON, [[w, h]],
+ *                                                     measureContradictions options
+ *
+ *   worker → page
+ *     { type: "size", result }   – one per size, in order
+ *     { type: "done" }
+ *     { type: "error", message }
+ *
+ * Cancelling is done by terminating the worker.
+ */
+
+import { measureContradictions } from "./analyser.js";
+import { compileRuleset } from "./ruleset.js";
+
+self.onmessage = ({ data }) => {
+  try {
+    if (data.type !== "measure") return;
+    const ruleset = compileRuleset(data.ruleset);
+    for (const [width, height] of data.sizes) {
+      self.postMessage({ type: "size", result: measureContradictions(ruleset, width, height, data.options) });
+    }
+    self.postMessage({ type: "done" });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
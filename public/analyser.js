@@ -0,0 +1,168 @@
+/**
+ * analyser.js – Finds problems in a ruleset before they show up as
+ * contradictions.
+ *
+ * `analyseRuleset` looks at the rules alone:
+ *
+ *   matrix     – on how many sides tile b may sit next to tile a, for every
+ *                pair (the compatibility heatmap)
+ *   asymmetric – pairs one tile's adjacency rules allow and the other's
+ *                don't.  Tiles only touch when both agree, so these pairs
+ *                never touch; usually one terrain's rules were forgotten.
+ *   dead       – tiles that can never appear, with the reason
+ *   edgeBound  – tiles that can only appear near a grid edge: every run of
+ *                neighbours they need ends, so it must end at an edge (typical
+ *                of patterns learned from a map that doesn't wrap)
+ *
+ * Both come from the engine itself: a fresh grid is propagated until every
+ * option left has support on every side (and houses a terrain to stand
+ * in), so whatever a fresh wrapped grid – no edges – has lost can't appear
+ * far from an edge, and whatever a small unwrapped grid has lost too can't
+ * appear at all.
+ *
+ * `measureContradictions` runs real generations headless and counts the
+ * ones that end in a contradiction, since a ruleset can pass every static
+ * check and still contradict most of the time.
+ */
+
+import { WFCGrid } from "./wfc.js";
+import { getTopology, DEFAULT_TOPOLOGY } from "./topology.js";
+import { normaliseSeed } from "./rng.js";
+
+/** Grid sizes measured when none are given: [width, height]. */
+export const DEFAULT_SIZES = [[10, 10], [20, 14], [40, 30]];
+
+/** Generations per size when not given. */
+export const DEFAULT_RUNS = 20;
+
+/** Side of the fresh grids the static checks propagate (even, for hex wrap). */
+const PROBE_SIZE = 8;
+
+/**
+ * Static checks of a compiled ruleset.
+ *
+ * @param {object} ruleset – compiled ruleset (see compileRuleset)
+ * @param {object} [options]
+ * @param {string} [options.topology="square"] – grid shape to check for;
+ *        rulesets learned on one shape always use that
+ * @returns {{ topology: object, matrix: Uint8Array,
+ *             asymmetric: Array<{a: number, b: number}>,
+ *             dead: Array<{tile: number, reason: string}>,
+ *             edgeBound: number[] }}
+ *          `matrix[a * nTiles + b]` counts sides; in `asymmetric`, a's rules
+ *          allow b but b's rules don't allow a
+ */
+export function analyseRuleset(ruleset, options = {}) {
+  const topology = getTopology(ruleset.topology ?? options.topology ?? DEFAULT_TOPOLOGY);
+  // Global constraints are about whole maps, not what a tile may touch
+  const probe = wrap => new WFCGrid(PROBE_SIZE, PROBE_SIZE, {
+    ruleset, seed: 1, wrap, topology: topology.id, globalConstraints: [],
+  });
+  const torus = probe("both");
+  const bounded = probe("none");
+  const n = torus.nTiles;
+  const D = topology.vectors.length;
+
+  const matrix = new Uint8Array(n * n);
+  for (let a = 0; a < n; a++) {
+    for (let d = 0; d < D; d++) {
+      for (const b of torus.allowedNeighbours(a, d)) matrix[a * n + b]++;
+    }
+  }
+
+  // Only predicate rulesets can disagree with themselves; learned pairs are
+  // stored once for both tiles
+  const asymmetric = [];
+  if (!ruleset.axes) {
+    for (let a = 0; a < n; a++) {
+      for (const b of ruleset.adjacency[a]) {
+        if (!ruleset.adjacency[b].has(a)) asymmetric.push({ a, b });
+      }
+    }
+  }
+
+  // Every cell of the torus is alike, so one cell shows what survives
+  const interior = new Set(torus.getOptions(0));
+  const anywhere = new Set(interior);
+  for (let i = 0; i < bounded.size; i++) {
+    for (const t of bounded.getOptions(i)) anywhere.add(t);
+  }
+
+  const dead = [], edgeBound = [];
+  for (let t = 0; t < n; t++) {
+    if (interior.has(t)) continue;
+    if (anywhere.has(t)) edgeBound.push(t);
+    else dead.push({ tile: t, reason: deadReason(torus, interior, t) });
+  }
+
+  return { topology, matrix, asymmetric, dead, edgeBound };
+}
+
+/** Why tile t didn't survive propagation on a grid whose cells kept `alive`. */
+function deadReason(grid, alive, t) {
+  if (alive.size === 0) return "every grid contradicts before the first collapse";
+  const { sides } = grid.topology;
+  for (let d = 0; d < sides.length; d++) {
+    const allowed = grid.allowedNeighbours(t, d);
+    if (allowed.length === 0) return `no tile may sit on its ${sides[d]} side`;
+    if (!allowed.some(u => alive.has(u))) return `every tile that may sit on its ${sides[d]} side is dead`;
+  }
+  // Supported on every side, so only the house rule can have removed it
+  return "no terrain can surround it";
+}
+
+/**
+ * Generate `runs` maps of one size and count the contradictions.  Seeds
+ * are seed, seed+1, … and every run starts from the centre cell, like the
+ * CLI's `generate`, so a failed seed can be replayed there.
+ *
+ * @param {object} ruleset – compiled ruleset
+ * @param {number} width
+ * @param {number} height
+ * @param {object} [options]
+ * @param {number} [options.runs=20]
+ * @param {number|string} [options.seed=1] – seed of the first run
+ * @param {number} [options.maxBacktracks=0] – 0 measures the raw rate
+ * @param {string} [options.heuristic]
+ * @param {string} [options.wrap="none"]
+ * @param {string} [options.topology="square"]
+ * @param {Array<object>} [options.globalConstraints] – default: the ruleset's
+ * @returns {{ width: number, height: number, runs: number,
+ *             contradictions: number, rate: number, failedSeeds: number[],
+ *             backtracks: number, ms: number }}
+ *          `backtracks` and `ms` are means per run
+ */
+export function measureContradictions(ruleset, width, height, options = {}) {
+  const runs = options.runs ?? DEFAULT_RUNS;
+  const seed = normaliseSeed(options.seed ?? 1);
+  const start = Math.floor(height / 2) * width + Math.floor(width / 2);
+  const failedSeeds = [];
+  let backtracks = 0, ms = 0;
+  for (let i = 0; i < runs; i++) {
+    const t0 = performance.now();
+    const grid = new WFCGrid(width, height, {
+      ruleset,
+      seed: (seed + i) >>> 0,
+      maxBacktracks: options.maxBacktracks ?? 0,
+      heuristic: options.heuristic,
+      wrap: options.wrap,
+      topology: ruleset.topology ?? options.topology,
+      globalConstraints: options.globalConstraints,
+    });
+    let last = null;
+    for (const event of grid.run(start)) last = event;
+    if (last?.type !== "done") failedSeeds.push(grid.seed);
+    backtracks += grid.backtracks;
+    ms += performance.now() - t0;
+  }
+  return {
+    width,
+    height,
+    runs,
+    contradictions: failedSeeds.length,
+    rate: failedSeeds.length / runs,
+    failedSeeds,
+    backtracks: backtracks / runs,
+    ms: ms / runs,
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * constraints.js – Global constraints: rules about the whole map rather
+ * than about neighbouring cells.
+ *
+ *   { type: "coverage", terrain, min?, max? }   – share of the map's cells
+ *                                                 the terrain covers (0–1)
+ *   { type: "count", terrain, min?, max? }      – number of cells
+ *   { type: "connected", terrain, over? }       – every cell of the terrain
+ *                                                 can reach every other
+ *                                                 through cells of `terrain`
+ *                                                 or `over`
+ *
+ * `terrain` and `over` are a terrain id or an array of them; an array counts
+ * its terrains together.  For example, on the bundled terrain rules:
+ *
+ *   { type: "coverage", terrain: "sea", min: 0.3, max: 0.4 }
+ *   { type: "count", terrain: "house", min: 2, max: 12 }
+ *   { type: "connected", terrain: ["ground", "mountain", "house"] }   // one landmass
+ *   { type: "connected", terrain: "house", over: ["ground", "mountain"] }
+ *
+ * A ruleset may list them under `constraints`, and a grid may be given its
+ * own (see WFCGrid's `globalConstraints` option).  The engine enforces them
+ * during propagation – a bound reached forces the remaining cells one way,
+ * land cut off from the rest loses the terrain – steers collapses toward
+ * the amounts asked for, and backtracks when one breaks.
+ */
+
+/** Constraint types, in the order the page lists them. */
+export const CONSTRAINT_TYPES = ["coverage", "count", "connected"];
+
+/**
+ * Check a list of constraints against a ruleset's terrains and bring it to
+ * one shape: `terrain` and `over` become arrays, unset bounds become
+ * `min: 0` and `max: 1` (coverage) or `max: null` (count).
+ * Throws an Error describing the first problem found.
+ *
+ * @param {Array<object>} list
+ * @param {Map<string, object>} terrains – compiled ruleset's terrains
+ * @returns {Array<object>}
+ */
+export function normaliseConstraints(list, terrains) {
+  if (!Array.isArray(list)) throw new Error("Global constraints must be an array");
+  return list.map((c, i) => {
+    const what = `Global constraint ${i + 1}`;
+    if (!c || !CONSTRAINT_TYPES.includes(c.type)) {
+      throw new Error(`${what} needs a "type": ${CONSTRAINT_TYPES.join(", ")}`);
+    }
+    const terrain = terrainList(c.terrain, terrains, `${what} "terrain"`);
+    if (terrain.length === 0) throw new Error(`${what} needs a "terrain"`);
+
+    if (c.type === "connected") {
+      if (c.min !== undefined || c.max !== undefined) throw new Error(`${what}: "connected" takes no min or max`);
+      const over = terrainList(c.over, terrains, `${what} "over"`).filter(id => !terrain.includes(id));
+      return { type: c.type, terrain, over };
+    }
+
+    if (c.over !== undefined) throw new Error(`${what}: only "connected" takes "over"`);
+    const share = c.type === "coverage";
+    const bound = (value, fallback) => {
+      if (value === undefined || value === null) return fallback;
+      const ok = share ? typeof value === "number" && value >= 0 && value <= 1 : Number.isInteger(value) && value >= 0;
+      if (!ok) throw new Error(`${what}: min and max must be ${share ? "shares between 0 and 1" : "whole numbers of cells"}`);
+      return value;
+    };
+    const min = bound(c.min, 0);
+    const max = bound(c.max, share ? 1 : null);
+    if (max !== null && min > max) throw new Error(`${what}: min is above max`);
+    return { type: c.type, terrain, min, max };
+  });
+}
+
+/**
+ * One line for a constraint, e.g. "Sea covers 30–40% of the map".
+ *
+ * @param {object} ruleset – compiled ruleset
+ * @param {object} c – a normalised constraint
+ */
+export function describeConstraint(ruleset, c) {
+  const names = ids => listWords(ids.map(id => ruleset.terrains.get(id)?.label || id));
+  const terrain = names(c.terrain);
+  switch (c.type) {
+    case "coverage": {
+      const pct = v => `${+(v * 100).toFixed(1)}%`;
+      if (c.max >= 1) return `${terrain} covers at least ${pct(c.min)} of the map`;
+      if (c.min <= 0) return `${terrain} covers at most ${pct(c.max)} of the map`;
+      if (c.min === c.max) return `${terrain} covers exactly ${pct(c.min)} of the map`;
+      return `${terrain} covers ${+(c.min * 100).toFixed(1)}–${pct(c.max)} of the map`;
+    }
+    case "count":
+      if (c.max === null) return `at least ${c.min} ${terrain} cells`;
+      if (c.min === 0) return `at most ${c.max} ${terrain} cells`;
+      return c.min === c.max ? `exactly ${c.min} ${terrain} cells` : `${c.min}–${c.max} ${terrain} cells`;
+    case "connected":
+      return c.over.length === 0
+        ? `${terrain} forms one connected region`
+        : `every ${terrain} cell reaches the others over ${names(c.over)}`;
+    default:
+      return c.type;
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function terrainList(value, terrains, what) {
+  const ids = [].concat(value ?? []);
+  for (const id of ids) {
+    if (!terrains.has(id)) throw new Error(`${what} references unknown terrain "${id}"`);
+  }
+  return [...new Set(ids)];
+}
+
+/** "a", "a and b", "a, b and c" */
+function listWords(words) {
+  return words.length <= 1 ? words.join("") : `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`;
+}
@@ -0,0 +1,100 @@
+/**
+ * explain.js – Puts `WFCGrid.explainCell` results into words.
+ *
+ * The engine records why every tile was removed (see wfc.js); this turns a
+ * cell's record into sentences for the page's contradiction panel and the
+ * CLI, e.g.
+ *
+ *   (4, 2) collapsed to Sea z0, ruling out Ground z1
+ *   (5, 2) lost Ground z2 – once Ground z1 was gone from (4, 2) to the west,
+ *          nothing there allowed it
+ *
+ * A contradiction can also be a global constraint broken (see
+ * constraints.js); the chain then explains the removal that broke it.
+ */
+
+import { tileLabel } from "./ruleset.js";
+import { describeConstraint } from "./constraints.js";
+
+/** Tiles named per line of the removal summary before the rest are counted. */
+const MAX_LISTED = 8;
+
+/**
+ * @param {WFCGrid} grid – the grid the explanation came from (or one of the
+ *        same size, topology and ruleset)
+ * @param {object} explanation – `grid.explainCell(idx)`
+ * @returns {{ title: string, steps: Array<{idx: number, text: string}>,
+ *             truncated: boolean, removals: string[] }}
+ *          `steps` run from where the trouble started (or, when `truncated`,
+ *          as far back as the engine followed it) to the cell itself;
+ *          `removals` sum up every tile the cell lost, one line per reason
+ */
+export function describeExplanation(grid, explanation) {
+  const { idx, empty, truncated, broken, chain, removals } = explanation;
+  const label = t => tileLabel(grid.ruleset, t);
+  const cell = i => `(${i % grid.width}, ${Math.floor(i / grid.width)})`;
+  const rule = index => `the rule "${describeConstraint(grid.ruleset, grid.globalConstraints[index])}"`;
+
+  // `brief` leaves out the neighbour's tile, so removals can be grouped
+  const reason = (s, brief = false) => {
+    const by = s.by;
+    switch (s.rule) {
+      case "collapse":
+        return `${cell(s.idx)} collapsed to ${label(by.tile)}`;
+      case "adjacency": {
+        const side = s.side >= 0 ? grid.topology.sides[s.side] : "neighbouring";
+        if (!by) return `nothing its ${side} neighbour can be allows it`;
+        return brief
+          ? `nothing left at ${cell(by.idx)} to the ${side} allows it`
+          : `once ${label(by.tile)} was gone from ${cell(by.idx)} to the ${side}, nothing there allowed it`;
+      }
+      case "house-ring":
+        return "it's a house, and no single terrain can fill every cell around it";
+      case "house-pin":
+        return `${cell(by.idx)} can only be a house, and the cells around a house must share one terrain`;
+      case "paint":
+        return "painted out";
+      case "backtrack":
+        return "choosing it here led to a contradiction";
+      case "global": {
+        const { index, bound } = s.constraint;
+        const names = grid.globalConstraints[index].terrain
+          .map(id => grid.ruleset.terrains.get(id).label || id).join(" or ");
+        if (bound === "min") return `every cell that could still be ${names} had to be, by ${rule(index)}`;
+        if (bound === "max") return `no more cells could be ${names}, by ${rule(index)}`;
+        return `it was cut off from the rest, by ${rule(index)}`;
+      }
+      default:
+        return "removed before this grid was loaded";
+    }
+  };
+
+  const steps = [...chain].reverse().map(s => ({
+    idx: s.idx,
+    text: s.rule === "collapse"
+      ? `${reason(s)}, ruling out ${label(s.tile)}`
+      : `${cell(s.idx)} lost ${label(s.tile)} – ${reason(s)}`,
+  }));
+
+  // One line per distinct reason, listing the tiles it took
+  const byReason = new Map();
+  for (const s of removals) {
+    const text = reason(s, true);
+    if (!byReason.has(text)) byReason.set(text, []);
+    byReason.get(text).push(label(s.tile));
+  }
+
+  const title = broken >= 0
+    ? `Why the map broke ${rule(broken)} at ${cell(idx)}`
+    : empty ? `Why ${cell(idx)} ran out of options` : `Why ${cell(idx)} lost its options`;
+
+  return {
+    title,
+    steps,
+    truncated,
+    removals: [...byReason].map(([text, tiles]) => {
+      const more = tiles.length > MAX_LISTED ? ` and ${tiles.length - MAX_LISTED} more` : "";
+      return `${tiles.slice(0, MAX_LISTED).join(", ")}${more} – ${text}`;
+    }),
+  };
+}
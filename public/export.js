@@ -0,0 +1,454 @@
+/**
+ * export.js – Turns a grid into files other tools can read.  No DOM needed,
+ * so the page's Export button and the CLI's `--format` share these.
+ *
+ * Every format is `{ id, name, ext, type, write(grid, options) }`; `write`
+ * returns a string or the bytes of a file.  Cells that haven't collapsed
+ * yet come out empty (no tile, lowest height), so a half-finished map
+ * exports too.
+ *
+ *   png       – colour map, `scale` pixels per cell
+ *   svg       – vector colour map, a square or hexagon per cell, with the
+ *               tile named on hover
+ *   ascii     – one glyph per cell (a terrain's `ascii`, or its first letter)
+ *   tmx, tmj  – Tiled map (XML or JSON) with one tile layer; the tileset is
+ *               a separate image, made by `tilesetPNG` and referenced by the
+ *               `tileset` file name.  Each tile carries `terrain` and `z`
+ *               properties.  Hex maps use Tiled's hexagonal orientation,
+ *               stagger axis y, odd rows staggered – the grid's own layout.
+ *   heightmap – greyscale PNG, one pixel per cell, black at the ruleset's
+ *               lowest z and white at its highest
+ *   csv       – one row per cell: x, y, tile index, terrain, z
+ *   obj       – Wavefront OBJ terrain mesh: a vertex at every cell centre,
+ *               raised by its z, triangulated across neighbouring cells.
+ *               Texture coordinates line up with the png export, so the
+ *               colour map can be draped over it.
+ */
+
+import { encodePNG } from "./png.js";
+import { tileColour } from "./renderer.js";
+import { tileLabel } from "./ruleset.js";
+
+/** Tile width of generated tilesets when none is given. */
+export const DEFAULT_TILE_SIZE = 32;
+
+/** Mesh height of one z level, in cell widths. */
+export const DEFAULT_HEIGHT_SCALE = 0.25;
+
+/** Colour of undecided cells in the png export. */
+const EMPTY_COLOUR = "#27272a";
+
+/** Tiles per row of a generated tileset. */
+const TILESET_COLUMNS = 16;
+
+/** Version of the Tiled map format written. */
+const TILED_VERSION = "1.10";
+
+export const EXPORT_FORMATS = [
+  { id: "png", name: "Colour map (PNG)", ext: "png", type: "image/png", write: toColourPNG },
+  { id: "svg", name: "Vector map (SVG)", ext: "svg", type: "image/svg+xml", write: toSVG },
+  { id: "ascii", name: "Text (ASCII)", ext: "txt", type: "text/plain", write: toAscii },
+  { id: "tmx", name: "Tiled map (TMX)", ext: "tmx", type: "application/xml", tileset: true, write: toTMX },
+  { id: "tmj", name: "Tiled map (JSON)", ext: "tmj", type: "application/json", tileset: true, write: toTiledJSON },
+  { id: "heightmap", name: "Heightmap (PNG)", ext: "height.png", type: "image/png", write: toHeightmap },
+  { id: "csv", name: "Cells (CSV)", ext: "csv", type: "text/csv", write: toCSV },
+  { id: "obj", name: "Terrain mesh (OBJ)", ext: "obj", type: "model/obj", write: toOBJ },
+];
+
+/**
+ * Look up an export format by id.  Throws an Error for unknown ids.
+ * @param {string} id
+ */
+export function getExportFormat(id) {
+  const format = EXPORT_FORMATS.find(f => f.id === id);
+  if (!format) throw new Error(`Unknown export format "${id}"`);
+  return format;
+}
+
+// ── Images and text ─────────────────────────────────────────────────────────
+
+/**
+ * @param {WFCGrid} grid
+ * @param {object} [options]
+ * @param {number} [options.scale=4] – pixels per cell
+ * @param {(data: Uint8Array) => Uint8Array} [options.deflate] – see encodePNG
+ */
+export function toColourPNG(grid, options = {}) {
+  const scale = options.scale ?? 4;
+  // Hex maps are drawn as bricks, odd rows shifted half a cell
+  const shift = grid.topology.id === "hex" ? Math.floor(scale / 2) : 0;
+  const w = grid.width * scale + shift;
+  const h = grid.height * scale;
+  const pixels = new Uint8Array(w * h * 4);
+  for (let y = 0; y < grid.height; y++) {
+    for (let x = 0; x < grid.width; x++) {
+      const tile = grid.getTile(y * grid.width + x);
+      const rgb = hexToRGB(tile ? tileColour(grid.ruleset, tile) : EMPTY_COLOUR);
+      const left = x * scale + (y & 1 ? shift : 0);
+      for (let dy = 0; dy < scale; dy++) {
+        for (let dx = 0; dx < scale; dx++) {
+          const o = ((y * scale + dy) * w + left + dx) * 4;
+          pixels.set(rgb, o);
+          pixels[o + 3] = 255;
+        }
+      }
+    }
+  }
+  return encodePNG(w, h, pixels, { deflate: options.deflate });
+}
+
+/**
+ * One `<path>` per tile, so the file stays small and hovering a cell names
+ * its tile.  Coordinates are in cells; `scale` only sets the drawn size.
+ *
+ * @param {WFCGrid} grid
+ * @param {object} [options]
+ * @param {number} [options.scale=4] – pixels per cell
+ */
+export function toSVG(grid, options = {}) {
+  const scale = options.scale ?? 4;
+  const { topology } = grid;
+  const hex = topology.id === "hex";
+  // Corners around a cell centre: unit squares, or pointy-top hexagons one
+  // unit across (as the page draws them)
+  const corners = hex
+    ? Array.from({ length: 6 }, (_, k) => {
+      const a = Math.PI / 3 * k - Math.PI / 2;
+      return [Math.cos(a) / Math.sqrt(3), Math.sin(a) / Math.sqrt(3)];
+    })
+    : [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]];
+  const w = hex ? grid.width + 0.5 : grid.width;
+  const h = hex ? (grid.height - 1) * Math.sqrt(3) / 2 + 2 / Math.sqrt(3) : grid.height;
+
+  const shapes = new Map();   // tile index (-1 undecided) → path data
+  for (let i = 0; i < grid.size; i++) {
+    const [cx, cy] = topology.centre(i % grid.width, Math.floor(i / grid.width));
+    const t = grid.collapsed[i];
+    const d = corners.map(([dx, dy], k) => `${k ? "L" : "M"}${round(cx + dx)} ${round(cy + dy)}`).join("") + "Z";
+    shapes.set(t, (shapes.get(t) ?? "") + d);
+  }
+
+  const paths = [...shapes].map(([t, d]) => {
+    const tile = grid.ruleset.tiles[t];
+    const [fill, title] = tile ? [tileColour(grid.ruleset, tile), tileLabel(grid.ruleset, t)] : [EMPTY_COLOUR, "Undecided"];
+    return ` <path fill="${fill}" d="${d}"><title>${xmlEscape(title)}</title></path>`;
+  });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(w * scale)}" height="${round(h * scale)}" ` +
+      `viewBox="0 0 ${round(w)} ${round(h)}"${hex ? "" : ` shape-rendering="crispEdges"`}>`,
+    ...paths,
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+export function toAscii(grid) {
+  // Hex maps space their glyphs out and indent odd rows, like the hexagons
+  const hex = grid.topology.id === "hex";
+  const lines = [];
+  for (let y = 0; y < grid.height; y++) {
+    const glyphs = [];
+    for (let x = 0; x < grid.width; x++) {
+      const tile = grid.getTile(y * grid.width + x);
+      if (!tile) { glyphs.push("?"); continue; }
+      const def = grid.ruleset.terrains.get(tile.terrain);
+      glyphs.push(def.ascii || tile.terrain[0]);
+    }
+    lines.push(hex ? (y & 1 ? " " : "") + glyphs.join(" ") : glyphs.join(""));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @param {WFCGrid} grid
+ * @param {object} [options]
+ * @param {(data: Uint8Array) => Uint8Array} [options.deflate] – see encodePNG
+ */
+export function toHeightmap(grid, options = {}) {
+  const [zMin, zMax] = zRange(grid.ruleset);
+  const range = zMax - zMin || 1;
+  const pixels = new Uint8Array(grid.size);
+  for (let i = 0; i < grid.size; i++) {
+    const tile = grid.getTile(i);
+    if (tile) pixels[i] = Math.round(255 * (tile.z - zMin) / range);
+  }
+  return encodePNG(grid.width, grid.height, pixels, { channels: 1, deflate: options.deflate });
+}
+
+export function toCSV(grid) {
+  const lines = ["x,y,tile,terrain,z"];
+  for (let i = 0; i < grid.size; i++) {
+    const tile = grid.getTile(i);
+    const cell = `${i % grid.width},${Math.floor(i / grid.width)}`;
+    lines.push(tile ? `${cell},${grid.collapsed[i]},${csvField(tile.terrain)},${tile.z}` : `${cell},,,`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ── Tiled ───────────────────────────────────────────────────────────────────
+
+/**
+ * Tileset image for the Tiled exports: tile t is a swatch of its colour at
+ * index t, `TILESET_COLUMNS` to a row.  Hex swatches are hexagons with
+ * transparent corners.
+ *
+ * @param {WFCGrid} grid – any grid of the ruleset and topology exported
+ * @param {object} [options]
+ * @param {number} [options.tileSize=32] – tile width in pixels
+ * @param {(data: Uint8Array) => Uint8Array} [options.deflate] – see encodePNG
+ */
+export function tilesetPNG(grid, options = {}) {
+  const layout = tiledLayout(grid, options);
+  const { tileWidth: tw, tileHeight: th, columns, rows } = layout;
+  const w = columns * tw, h = rows * th;
+  const pixels = new Uint8Array(w * h * 4);
+
+  // Which pixels of a tile the hexagon (pointy top, touching all four
+  // edges) covers, tested at pixel centres
+  const mask = new Uint8Array(tw * th).fill(1);
+  if (layout.hex) {
+    for (let py = 0; py < th; py++) {
+      for (let px = 0; px < tw; px++) {
+        const dx = Math.abs(px + 0.5 - tw / 2) / (tw / 2);
+        const dy = Math.abs(py + 0.5 - th / 2) / (th / 2);
+        mask[py * tw + px] = dx <= 1 && dy <= 1 - dx / 2 ? 1 : 0;
+      }
+    }
+  }
+
+  grid.ruleset.tiles.forEach((tile, t) => {
+    const rgb = hexToRGB(tileColour(grid.ruleset, tile));
+    const left = (t % columns) * tw, top = Math.floor(t / columns) * th;
+    for (let py = 0; py < th; py++) {
+      for (let px = 0; px < tw; px++) {
+        if (!mask[py * tw + px]) continue;
+        const o = ((top + py) * w + left + px) * 4;
+        pixels.set(rgb, o);
+        pixels[o + 3] = 255;
+      }
+    }
+  });
+  return encodePNG(w, h, pixels, { deflate: options.deflate });
+}
+
+/**
+ * @param {WFCGrid} grid
+ * @param {object} [options]
+ * @param {string} [options.tileset="tileset.png"] – file name of the
+ *        `tilesetPNG` image, relative to the map
+ * @param {number} [options.tileSize=32]
+ */
+export function toTMX(grid, options = {}) {
+  const map = tiledMap(grid, options);
+  const [tileset] = map.tilesets;
+  const [layer] = map.layers;
+  const attrs = obj => Object.entries(obj).map(([k, v]) => ` ${k}="${xmlEscape(String(v))}"`).join("");
+  const properties = (props, indent) => [
+    `${indent}<properties>`,
+    ...props.map(p => `${indent} <property${attrs({ name: p.name, ...(p.type === "string" ? {} : { type: p.type }), value: p.value })}/>`),
+    `${indent}</properties>`,
+  ];
+
+  const rows = [];
+  for (let y = 0; y < layer.height; y++) {
+    const row = layer.data.slice(y * layer.width, (y + 1) * layer.width).join(",");
+    rows.push(y < layer.height - 1 ? `${row},` : row);
+  }
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<map${attrs({
+      version: map.version,
+      orientation: map.orientation,
+      renderorder: map.renderorder,
+      width: map.width,
+      height: map.height,
+      tilewidth: map.tilewidth,
+      tileheight: map.tileheight,
+      ...(map.hexsidelength ? { hexsidelength: map.hexsidelength, staggeraxis: map.staggeraxis, staggerindex: map.staggerindex } : {}),
+      infinite: 0,
+      nextlayerid: map.nextlayerid,
+      nextobjectid: map.nextobjectid,
+    })}>`,
+    ...properties(map.properties, " "),
+    ` <tileset${attrs({
+      firstgid: tileset.firstgid,
+      name: tileset.name,
+      tilewidth: tileset.tilewidth,
+      tileheight: tileset.tileheight,
+      tilecount: tileset.tilecount,
+      columns: tileset.columns,
+    })}>`,
+    `  <image${attrs({ source: tileset.image, width: tileset.imagewidth, height: tileset.imageheight })}/>`,
+    ...tileset.tiles.flatMap(tile => [`  <tile id="${tile.id}">`, ...properties(tile.properties, "   "), "  </tile>"]),
+    " </tileset>",
+    ` <layer${attrs({ id: layer.id, name: layer.name, width: layer.width, height: layer.height })}>`,
+    `  <data encoding="csv">`,
+    ...rows,
+    "</data>",
+    " </layer>",
+    "</map>",
+    "",
+  ].join("\n");
+}
+
+/** Same options as `toTMX`. */
+export function toTiledJSON(grid, options = {}) {
+  return JSON.stringify(tiledMap(grid, options), null, 1) + "\n";
+}
+
+/** Tile size and tileset shape shared by the Tiled exports. */
+function tiledLayout(grid, options) {
+  const hex = grid.topology.id === "hex";
+  const tileWidth = options.tileSize ?? DEFAULT_TILE_SIZE;
+  // A pointy-top hexagon w wide is 2w/√3 tall with sides w/√3 long
+  const side = hex ? Math.round(tileWidth / Math.sqrt(3)) : 0;
+  const tileHeight = hex ? Math.round(2 * tileWidth / Math.sqrt(3)) : tileWidth;
+  const n = grid.ruleset.tiles.length;
+  const columns = Math.min(n, TILESET_COLUMNS);
+  return { hex, tileWidth, tileHeight, side, columns, rows: Math.ceil(n / columns) };
+}
+
+/** The map as a Tiled JSON document; `toTMX` writes the same in XML. */
+function tiledMap(grid, options) {
+  const { hex, tileWidth, tileHeight, side, columns, rows } = tiledLayout(grid, options);
+  const { ruleset } = grid;
+
+  // Global tile ids start at 1; 0 is an empty cell
+  const data = Array.from(grid.collapsed, t => t + 1);
+
+  return {
+    type: "map",
+    version: TILED_VERSION,
+    orientation: hex ? "hexagonal" : "orthogonal",
+    renderorder: "right-down",
+    width: grid.width,
+    height: grid.height,
+    tilewidth: tileWidth,
+    tileheight: tileHeight,
+    ...(hex ? { hexsidelength: side, staggeraxis: "y", staggerindex: "odd" } : {}),
+    infinite: false,
+    nextlayerid: 2,
+    nextobjectid: 1,
+    properties: [
+      { name: "ruleset", type: "string", value: ruleset.id },
+      ...(grid.seed !== null ? [{ name: "seed", type: "int", value: grid.seed }] : []),
+      { name: "wrap", type: "string", value: grid.wrap },
+    ],
+    tilesets: [{
+      firstgid: 1,
+      name: ruleset.name,
+      tilewidth: tileWidth,
+      tileheight: tileHeight,
+      tilecount: ruleset.tiles.length,
+      columns,
+      image: options.tileset ?? "tileset.png",
+      imagewidth: columns * tileWidth,
+      imageheight: rows * tileHeight,
+      margin: 0,
+      spacing: 0,
+      tiles: ruleset.tiles.map((tile, t) => ({
+        id: t,
+        properties: [
+          { name: "terrain", type: "string", value: tile.terrain },
+          { name: "z", type: "int", value: tile.z },
+        ],
+      })),
+    }],
+    layers: [{
+      id: 1,
+      name: "Terrain",
+      type: "tilelayer",
+      x: 0,
+      y: 0,
+      width: grid.width,
+      height: grid.height,
+      opacity: 1,
+      visible: true,
+      data,
+    }],
+  };
+}
+
+// ── Mesh ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {WFCGrid} grid
+ * @param {object} [options]
+ * @param {number} [options.heightScale=0.25] – height of one z level, in
+ *        cell widths
+ */
+export function toOBJ(grid, options = {}) {
+  const { width, height, topology } = grid;
+  const heightScale = options.heightScale ?? DEFAULT_HEIGHT_SCALE;
+  const [zMin] = zRange(grid.ruleset);
+  const hex = topology.id === "hex";
+  const lines = [
+    `# ${grid.ruleset.name} map, ${width}×${height} ${topology.name.toLowerCase()} cells` +
+      (grid.seed !== null ? `, seed ${grid.seed}` : ""),
+    "o terrain",
+  ];
+
+  // One vertex per cell: x across, y up, z down the rows
+  for (let i = 0; i < grid.size; i++) {
+    const [u, v] = topology.centre(i % width, Math.floor(i / width));
+    const tile = grid.getTile(i);
+    const y = tile ? (tile.z - zMin) * heightScale : 0;
+    lines.push(`v ${round(u)} ${round(y)} ${round(v)}`);
+  }
+  // Pixel centres of the png export (odd hex rows shifted half a cell)
+  for (let i = 0; i < grid.size; i++) {
+    const x = i % width, row = Math.floor(i / width);
+    const u = (x + 0.5 + (hex && row & 1 ? 0.5 : 0)) / (width + (hex ? 0.5 : 0));
+    lines.push(`vt ${round(u)} ${round(1 - (row + 0.5) / height)}`);
+  }
+
+  // Counter-clockwise seen from above; OBJ counts vertices from 1
+  const at = (x, y) => y * width + x + 1;
+  const face = (a, b, c) => lines.push(`f ${a}/${a} ${b}/${b} ${c}/${c}`);
+  for (let y = 0; y < height - 1; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      if (!hex) {
+        face(at(x, y), at(x, y + 1), at(x + 1, y + 1));
+        face(at(x, y), at(x + 1, y + 1), at(x + 1, y));
+      } else if (y & 1) {
+        // Odd rows sit half a cell right of the row below
+        face(at(x, y), at(x, y + 1), at(x + 1, y + 1));
+        face(at(x, y), at(x + 1, y + 1), at(x + 1, y));
+      } else {
+        face(at(x, y), at(x, y + 1), at(x + 1, y));
+        face(at(x + 1, y), at(x, y + 1), at(x + 1, y + 1));
+      }
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Lowest and highest z of any tile in the ruleset. */
+function zRange(ruleset) {
+  let min = Infinity, max = -Infinity;
+  for (const tile of ruleset.tiles) {
+    min = Math.min(min, tile.z);
+    max = Math.max(max, tile.z);
+  }
+  return [min, max];
+}
+
+function hexToRGB(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16));
+}
+
+function round(n) {
+  return +n.toFixed(4);
+}
+
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function xmlEscape(text) {
+  return text.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
@@ -0,0 +1,68 @@
+/**
+ * heuristics.js – Cell-selection heuristics: which cell `run()` collapses next.
+ *
+ * A heuristic is `{ id, name, key(grid, idx) }`.  The engine keeps every
+ * un-collapsed cell in a min-heap ordered by `key`, so the lowest key goes
+ * next.  Keys are re-evaluated whenever a cell's options change, so `key`
+ * may look at that cell's own wave and at fixed data (size, `grid.origin`,
+ * `grid.tieBreak`) but not at other cells.
+ *
+ * `grid.tieBreak(idx)` is a per-cell number in [0, 1) derived from the seed;
+ * adding a scaled-down copy of it breaks ties in a random but reproducible
+ * order.
+ */
+
+export const HEURISTICS = [
+  {
+    id: "entropy",
+    name: "Lowest entropy",
+    // Weighted Shannon entropy of the options left, using the collapse weights
+    key: (grid, idx) => grid.getWeightedEntropy(idx) + grid.tieBreak(idx) * 1e-6,
+  },
+  {
+    id: "count",
+    name: "Fewest options",
+    key: (grid, idx) => grid.counts[idx] + grid.tieBreak(idx) * 0.5,
+  },
+  {
+    id: "scanline",
+    name: "Scanline",
+    key: (grid, idx) => idx,
+  },
+  {
+    id: "random",
+    name: "Random",
+    key: (grid, idx) => grid.tieBreak(idx),
+  },
+  {
+    id: "spiral",
+    name: "Spiral from start",
+    // Rings around the start cell (square or hex, by topology), each
+    // walked by angle; distances are measured the short way round across
+    // wrapped edges
+    key: (grid, idx) => {
+      const { width, height, topology } = grid;
+      const [ox, oy] = [grid.origin % width, Math.floor(grid.origin / width)];
+      let dx = (idx % width) - ox;
+      let dy = Math.floor(idx / width) - oy;
+      if (grid.wrapX && Math.abs(dx) > width / 2) dx -= Math.sign(dx) * width;
+      if (grid.wrapY && Math.abs(dy) > height / 2) dy -= Math.sign(dy) * height;
+      const [x0, y0] = topology.centre(ox, oy), [x1, y1] = topology.centre(ox + dx, oy + dy);
+      const angle = (Math.atan2(y1 - y0, x1 - x0) + Math.PI) / (2 * Math.PI);
+      const ring = topology.distance(...topology.toLattice(ox, oy), ...topology.toLattice(ox + dx, oy + dy));
+      return ring + angle * 0.999;
+    },
+  },
+];
+
+export const DEFAULT_HEURISTIC = "entropy";
+
+/**
+ * Look up a heuristic by id.  Throws an Error for unknown ids.
+ * @param {string} id
+ */
+export function getHeuristic(id) {
+  const heuristic = HEURISTICS.find(h => h.id === id);
+  if (!heuristic) throw new Error(`Unknown heuristic "${id}"`);
+  return heuristic;
+}
@@ -1,9 +1,25 @@
 /**
  * main.js – Wires up the WFC engine, renderer, and UI controls.
+ *
+ * The page keeps its own WFCGrid for painting, saving and drawing; runs
+ * happen in solver-worker.js, which streams back diffs of the cells it
+ * changed.
  */
 
 import { WFCGrid } from "./wfc.js";
-import { Renderer } from "./renderer.js";
+import { Renderer, IsoRenderer, TilePreview, CompatibilityHeatmap, tileColour } from "./renderer.js";
+import { compileRuleset, loadRuleset, tileLabel, BUILTIN_RULESETS } from "./ruleset.js";
+import { randomSeed, createRng } from "./rng.js";
+import { HEURISTICS, DEFAULT_HEURISTIC } from "./heuristics.js";
+import { learnRuleset, SAMPLE_MODELS, PATTERN_SIZES } from "./sample.js";
+import { TOPOLOGIES, DEFAULT_TOPOLOGY } from "./topology.js";
+import { analyseRuleset, DEFAULT_SIZES, DEFAULT_RUNS } from "./analyser.js";
+import { describeExplanation } from "./explain.js";
+import { normaliseConstraints, describeConstraint } from "./constraints.js";
+import { Timeline } from "./timeline.js";
+import { EXPORT_FORMATS, tilesetPNG } from "./export.js";
+import { rectangleCells, lassoCells } from "./selection.js";
+import { encodeLink, decodeLink, MIN_SIZE, MAX_SIZE } from "./share.js";
 
 // ── DOM refs ────────────────────────────────────────────────────────────────
 
@@ -11,170 +27,1495 @@ const canvas     = document.getElementById("grid-canvas");
 const inputW     = document.getElementById("input-width");
 const inputH     = document.getElementById("input-height");
 const inputSpeed = document.getElementById("input-speed");
+const inputSeed  = document.getElementById("input-seed");
+const inputBacktracks = document.getElementById("input-backtracks");
+const inputHeuristic = document.getElementById("input-heuristic");
+const inputWrap  = document.getElementById("input-wrap");
+const inputTopology = document.getElementById("input-topology");
+const inputView  = document.getElementById("input-view");
+const inputShading = document.getElementById("input-shading");
+const inputRuleset = document.getElementById("input-ruleset");
+const inputRulesetFile = document.getElementById("input-ruleset-file");
+const inputModel = document.getElementById("input-model");
+const btnLearn   = document.getElementById("btn-learn");
+const btnSaveRules = document.getElementById("btn-save-rules");
+const legendEl   = document.getElementById("legend");
+const brushesEl  = document.getElementById("brushes");
 const btnReset   = document.getElementById("btn-reset");
+const btnCancel  = document.getElementById("btn-cancel");
+const progressEl = document.getElementById("progress");
+const btnSave    = document.getElementById("btn-save");
+const btnLoad    = document.getElementById("btn-load");
+const btnShare   = document.getElementById("btn-share");
+const inputExport = document.getElementById("input-export");
+const btnExport  = document.getElementById("btn-export");
+const btnPreview = document.getElementById("btn-preview");
+const previewEl  = document.getElementById("preview");
+const previewCanvas = document.getElementById("preview-canvas");
+const btnAnalyse = document.getElementById("btn-analyse");
+const btnInspect = document.getElementById("btn-inspect");
+const inspectorEl = document.getElementById("inspector");
+const inspectorTitle = document.getElementById("inspector-title");
+const inspectorOptions = document.getElementById("inspector-options");
+const inspectorSides = document.getElementById("inspector-sides");
+const inputShowOptions = document.getElementById("input-show-options");
+const btnConstraints = document.getElementById("btn-constraints");
+const constraintsEl = document.getElementById("constraints");
+const constraintsList = document.getElementById("constraints-list");
+const constraintType = document.getElementById("constraint-type");
+const constraintTerrain = document.getElementById("constraint-terrain");
+const constraintBounds = document.getElementById("constraint-bounds");
+const constraintMin = document.getElementById("constraint-min");
+const constraintMax = document.getElementById("constraint-max");
+const constraintOver = document.getElementById("constraint-over");
+const constraintOverField = document.getElementById("constraint-over-field");
+const btnConstraintAdd = document.getElementById("btn-constraint-add");
+const btnConstraintReset = document.getElementById("btn-constraint-reset");
+const analysisEl = document.getElementById("analysis");
+const analysisCanvas = document.getElementById("analysis-canvas");
+const analysisPair = document.getElementById("analysis-pair");
+const analysisReport = document.getElementById("analysis-report");
+const inputLoadFile = document.getElementById("input-load-file");
+const gridWrapper = document.getElementById("grid-wrapper");
+const timelineEl = document.getElementById("timeline");
+const btnPlay    = document.getElementById("btn-play");
+const btnStepBack = document.getElementById("btn-step-back");
+const btnStep    = document.getElementById("btn-step");
+const inputTimeline = document.getElementById("input-timeline");
+const timelineLabel = document.getElementById("timeline-label");
+const explainEl  = document.getElementById("explain");
+const explainTitle = document.getElementById("explain-title");
+const explainSteps = document.getElementById("explain-steps");
+const explainRemovals = document.getElementById("explain-removals");
+const btnExplainClose = document.getElementById("btn-explain-close");
 const statusText = document.getElementById("status-text");
+const statusSeed = document.getElementById("status-seed");
 const statusCount= document.getElementById("status-count");
 
 // ── State ───────────────────────────────────────────────────────────────────
 
+/** Grid size the old main-thread solver topped out at (60×40); bigger grids
+ *  take proportionally more events per animation step so they finish in
+ *  similar wall-clock time. */
+const PACE_CELLS = 2400;
+
 let gridW   = +inputW.value;
 let gridH   = +inputH.value;
 let grid    = null;
 let renderer = null;
-let running  = false;
+let preview  = null;        // TilePreview while the 3×3 preview is shown
+let heatmap  = null;        // CompatibilityHeatmap while the analysis is shown
+let analyser = null;        // Worker measuring contradiction rates
+let analysisKey = null;     // settings the shown analysis was made for
+let running  = false;       // is a generation under way (its worker alive)?
+let playing  = false;       // is the timeline moving by itself?
 let animId   = null;
+let tickTimer = null;
+let solver   = null;        // Worker running the current generation
+let pending  = false;       // waiting on a batch from the worker?
+let timeline = null;        // Timeline of the latest run
+let inspected = -1;         // cell shown in the inspector
+let ruleset  = null;
+let rulesetKey = null;
+let constraints = [];       // global constraints for the next grid
+let generated = false;      // has run() been started on this grid?
+let startCell = -1;         // cell the collapse was started from, for links
+let rerolls = [];           // regions re-rolled since, for links; null if they can't be replayed
+let brush    = "start";     // "start", "erase", "reroll", or a terrain id
+let painting = false;
+let selecting = null;       // region being dragged out: { path, lasso, cells }
+let lastPainted = -1;
+let strokeRepaint = new Map(); // cells the stroke erases or repaints on release: idx → tiles | null
+
+/** Every ruleset offered in the picker, compiled on first use: value → ruleset|null */
+const rulesets = new Map(BUILTIN_RULESETS.map(r => [r.url, null]));
 
 // ── Initialise ──────────────────────────────────────────────────────────────
 
-function init() {
+/**
+ * Build a fresh grid from the controls.  With `keepPaint`, cells painted on
+ * the previous grid are re-applied (only valid while size and ruleset match).
+ */
+function init({ keepPaint = false } = {}) {
+  const paint = keepPaint && grid ? [...grid.constraints] : [];
   cancelAnim();
-  running = false;
-  gridW = Math.max(4, Math.min(60, +inputW.value));
-  gridH = Math.max(4, Math.min(40, +inputH.value));
+  generated = false;
+  startCell = -1;
+  rerolls = [];
+  timeline = null;
+  updateTransport();
+  gridW = Math.max(MIN_SIZE, Math.min(MAX_SIZE, +inputW.value));
+  gridH = Math.max(MIN_SIZE, Math.min(MAX_SIZE, +inputH.value));
+
+  // Learned rulesets only run on the grid shape they were learned on
+  if (ruleset.topology) inputTopology.value = ruleset.topology;
+  inputTopology.disabled = Boolean(ruleset.topology);
+  const topology = inputTopology.value;
+  const wrap = inputWrap.value;
+  // Hex rows alternate, so only an even number of them can wrap vertically
+  if (topology === "hex" && (wrap === "y" || wrap === "both") && gridH % 2 !== 0) {
+    gridH = Math.min(MAX_SIZE, gridH + 1);
+    inputH.value = gridH;
+  }
 
-  grid = new WFCGrid(gridW, gridH);
-  renderer = new Renderer(canvas, gridW, gridH);
+  // Blank seed field → fresh random seed each time; shown in the status bar
+  // so any map can be recreated by pasting it back in.
+  const seed = inputSeed.value.trim() || randomSeed();
+  const maxBacktracks = Math.max(0, +inputBacktracks.value || 0);
+  const heuristic = inputHeuristic.value;
+  grid = new WFCGrid(gridW, gridH, {
+    ruleset, seed, maxBacktracks, heuristic, wrap, topology, globalConstraints: constraints,
+  });
+  // Paint that no longer fits (e.g. under new global constraints) is dropped;
+  // a failed `constrain` leaves the grid as it was
+  const dropped = paint.filter(([idx, tiles]) => !grid.constrain(idx, tiles).ok);
+  statusSeed.textContent = `seed ${grid.seed}`;
+
+  renderer = createRenderer(topology);
+  explainEl.hidden = true;
+  buildInspector();
   renderer.draw(grid);
+  buildPreview();
+  buildAnalysis();
 
-  statusText.textContent = "Click a cell to begin collapse…";
+  statusText.textContent = dropped.length
+    ? `⚠️ ${dropped.length} painted cell${dropped.length === 1 ? "" : "s"} no longer fit and were cleared, e.g. (${dropped[0][0] % gridW}, ${Math.floor(dropped[0][0] / gridW)}).`
+    : brush === "start"
+    ? "Click a cell to begin collapse…"
+    : "Paint cells, then pick ▶ Start and click a cell…";
   updateCount();
 }
 
+// ── Tile preview ────────────────────────────────────────────────────────────
+
+/** (Re)create the 3 × 3 preview for the current grid, if it is shown. */
+function buildPreview() {
+  previewEl.hidden = !btnPreview.classList.contains("active");
+  preview = previewEl.hidden ? null : new TilePreview(previewCanvas, gridW, gridH, ruleset, grid.topology.id);
+  preview?.draw(grid);
+}
+
+/** Renderer for the grid in the chosen view: flat, or isometric blocks. */
+function createRenderer(topology) {
+  const View = inputView.value === "iso" ? IsoRenderer : Renderer;
+  const view = new View(canvas, gridW, gridH, ruleset, topology);
+  view.shading = inputShading.value;
+  return view;
+}
+
+/** Redraw the current grid in the newly chosen view. */
+function switchView() {
+  const trace = renderer.trace;
+  renderer = createRenderer(grid.topology.id);
+  renderer.trace = trace;
+  buildInspector();
+  renderer.draw(grid);
+}
+
+// ── Contradiction explanation ───────────────────────────────────────────────
+
+/**
+ * Show why a cell ran out of options (`WFCGrid.explainCell`): the chain of
+ * removals in the side panel, and its cells outlined on the grid.
+ */
+function showExplanation(explanation) {
+  const { title, steps, truncated, removals } = describeExplanation(grid, explanation);
+  explainTitle.textContent = title;
+  const item = (text, idx) => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    if (idx !== undefined) li.addEventListener("pointerenter", () => renderer.flashCells([idx], "#fbbf24", 8));
+    return li;
+  };
+  explainSteps.replaceChildren(
+    ...(truncated ? [item("… (the chain goes back further)")] : []),
+    ...steps.map(s => item(s.text, s.idx)),
+  );
+  explainRemovals.replaceChildren(...removals.map(text => item(text)));
+  explainEl.hidden = false;
+
+  const cells = explanation.chain.flatMap(s => (s.by ? [s.idx, s.by.idx] : [s.idx]));
+  renderer.showTrace(cells, explanation.idx);
+  renderer.draw(grid);
+}
+
+function hideExplanation() {
+  explainEl.hidden = true;
+  renderer.showTrace();
+  renderer.draw(grid);
+}
+
+// ── Cell inspector ──────────────────────────────────────────────────────────
+
+/** Options listed in full before the rest are counted. */
+const INSPECT_MAX_OPTIONS = 12;
+
+/** Tiles named per neighbour before the rest are counted. */
+const INSPECT_MAX_TILES = 6;
+
+/** Show or hide the inspector (and the option swatches that go with it). */
+function buildInspector() {
+  inspectorEl.hidden = !btnInspect.classList.contains("active");
+  renderer.showOptions = !inspectorEl.hidden && inputShowOptions.checked;
+  if (inspectorEl.hidden || inspected >= grid.size) inspected = -1;
+  showInspected();
+}
+
+/**
+ * Fill the inspector with cell `inspected`: the tiles it can still become,
+ * with the chance of each, and the tiles each neighbour rules out.
+ */
+function showInspected() {
+  if (inspectorEl.hidden) return;
+  if (inspected < 0) {
+    inspectorTitle.textContent = "Hover over a cell to inspect it";
+    inspectorOptions.replaceChildren();
+    inspectorSides.replaceChildren();
+    return;
+  }
+
+  const { idx, painted, options, sides, other } = grid.inspectCell(inspected);
+  const cell = i => `(${i % gridW}, ${Math.floor(i / gridW)})`;
+  const label = t => tileLabel(ruleset, t);
+  const some = tiles => tiles.length > INSPECT_MAX_TILES
+    ? `${tiles.slice(0, INSPECT_MAX_TILES).map(label).join(", ")} and ${tiles.length - INSPECT_MAX_TILES} more`
+    : tiles.map(label).join(", ");
+
+  const k = options.length;
+  const state = k === 0 ? "no options left" : k === 1 ? label(options[0].tile) : `${k} options`;
+  inspectorTitle.textContent = `${cell(idx)} – ${state}${painted ? " (painted)" : ""}`;
+
+  inspectorOptions.replaceChildren();
+  if (k > 0) {
+    inspectorOptions.createTHead().insertRow().append(...["", "Tile", "Weight", "Chance"].map(text => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      return th;
+    }));
+    const body = inspectorOptions.createTBody();
+    for (const { tile, weight, p } of options.slice(0, INSPECT_MAX_OPTIONS)) {
+      const row = body.insertRow();
+      const swatch = document.createElement("span");
+      swatch.className = "swatch";
+      swatch.style.background = tileColour(ruleset, ruleset.tiles[tile]);
+      row.insertCell().append(swatch);
+      row.insertCell().textContent = label(tile);
+      row.insertCell().textContent = String(+weight.toFixed(2));
+      row.insertCell().textContent = `${(100 * p).toFixed(1)}%`;
+    }
+    if (k > INSPECT_MAX_OPTIONS) {
+      const row = body.insertRow();
+      row.insertCell();
+      row.insertCell().textContent = `… and ${k - INSPECT_MAX_OPTIONS} more`;
+    }
+  }
+
+  const lines = sides.map(({ side, nb, rulesOut }) => {
+    const name = grid.topology.sides[side];
+    if (nb < 0) return `${name}: edge of the grid`;
+    return rulesOut.length === 0
+      ? `${name} ${cell(nb)}: allows every tile`
+      : `${name} ${cell(nb)}: rules out ${rulesOut.length} – ${some(rulesOut)}`;
+  });
+  if (other.length > 0) {
+    lines.push(`${other.length} more lost to a collapse, paint, a house or global rule or a backtrack – ${some(other)}`);
+  }
+  inspectorSides.replaceChildren(...lines.map(text => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    return li;
+  }));
+}
+
+// ── Rule analysis ───────────────────────────────────────────────────────────
+
+/** Findings listed in full before the rest are summed up. */
+const REPORT_MAX_ITEMS = 12;
+
+/**
+ * (Re)analyse the ruleset for the current grid settings, if the panel is
+ * shown.  Static checks run at once; contradiction rates are measured in
+ * analyser-worker.js and filled in as each size finishes.
+ */
+function buildAnalysis() {
+  analysisEl.hidden = !btnAnalyse.classList.contains("active");
+  if (analysisEl.hidden) {
+    stopAnalyser();
+    analysisKey = heatmap = null;
+    return;
+  }
+
+  const options = {
+    runs: DEFAULT_RUNS,
+    maxBacktracks: grid.maxBacktracks,
+    heuristic: inputHeuristic.value,
+    wrap: grid.wrap,
+    topology: grid.topology.id,
+    globalConstraints: constraints,
+  };
+  const sizes = DEFAULT_SIZES.filter(([w, h]) => w !== gridW || h !== gridH).concat([[gridW, gridH]])
+    .sort((a, b) => a[0] * a[1] - b[0] * b[1]);
+  const key = JSON.stringify([rulesetKey, options, sizes]);
+  if (key === analysisKey) return;
+  analysisKey = key;
+  stopAnalyser();
+
+  const analysis = analyseRuleset(ruleset, { topology: grid.topology.id });
+  heatmap = new CompatibilityHeatmap(analysisCanvas, ruleset, analysis);
+  heatmap.draw();
+  analysisPair.textContent = "Hover the matrix to see a pair";
+
+  const label = t => tileLabel(ruleset, t);
+  analysisReport.replaceChildren();
+  const list = document.createElement("ul");
+  const finding = (ok, text, items = []) => {
+    const li = document.createElement("li");
+    li.className = ok ? "finding-ok" : "finding-warn";
+    li.textContent = `${ok ? "✓" : "⚠️"} ${text}`;
+    if (items.length > 0) {
+      const more = items.length > REPORT_MAX_ITEMS ? [`… and ${items.length - REPORT_MAX_ITEMS} more`] : [];
+      const ul = document.createElement("ul");
+      for (const item of items.slice(0, REPORT_MAX_ITEMS).concat(more)) {
+        const sub = document.createElement("li");
+        sub.textContent = item;
+        ul.append(sub);
+      }
+      li.append(ul);
+    }
+    list.append(li);
+  };
+
+  const { dead, edgeBound, asymmetric } = analysis;
+  finding(dead.length === 0,
+    dead.length === 0 ? "Every tile can appear" : `${dead.length} of ${ruleset.tiles.length} tiles can never appear`,
+    dead.map(d => `${label(d.tile)}: ${d.reason}`));
+  if (edgeBound.length > 0) {
+    finding(false, `${edgeBound.length} tiles can only appear near an edge`, edgeBound.map(label));
+  }
+  if (!ruleset.axes) {
+    finding(asymmetric.length === 0,
+      asymmetric.length === 0 ? "Every adjacency rule is mutual" : `${asymmetric.length} one-sided adjacency rules (never used)`,
+      asymmetric.map(({ a, b }) => `${label(a)} allows ${label(b)}, but not the other way round`));
+  }
+
+  const table = document.createElement("table");
+  table.createTHead().insertRow().append(...["Size", "Contradictions", "Backtracks", "ms / map"].map(text => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    return th;
+  }));
+  const body = table.createTBody();
+  const rows = sizes.map(([w, h]) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = `${w}×${h}`;
+    row.insertCell().textContent = "…";
+    row.insertCell();
+    row.insertCell();
+    return row;
+  });
+  const caption = table.createCaption();
+  caption.textContent = `${options.runs} runs per size, backtrack budget ${options.maxBacktracks}`;
+  analysisReport.append(list, table);
+
+  let next = 0;
+  analyser = new Worker(new URL("./analyser-worker.js", import.meta.url), { type: "module" });
+  analyser.onmessage = ({ data }) => {
+    if (data.type === "size") {
+      const { contradictions, runs, rate, backtracks, ms } = data.result;
+      const cells = rows[next++].cells;
+      cells[1].textContent = `${contradictions} / ${runs} (${(100 * rate).toFixed(0)}%)`;
+      cells[2].textContent = backtracks.toFixed(1);
+      cells[3].textContent = ms.toFixed(0);
+    } else if (data.type === "done") {
+      stopAnalyser();
+    } else if (data.type === "error") {
+      caption.textContent = `⚠️ ${data.message}`;
+      stopAnalyser();
+    }
+  };
+  analyser.postMessage({ type: "measure", ruleset: ruleset.source, sizes, options });
+}
+
+function stopAnalyser() {
+  analyser?.terminate();
+  analyser = null;
+}
+
+// ── Heuristics ──────────────────────────────────────────────────────────────
+
+function buildHeuristicPicker() {
+  for (const h of HEURISTICS) {
+    inputHeuristic.add(new Option(h.name, h.id));
+  }
+  inputHeuristic.value = DEFAULT_HEURISTIC;
+}
+
+// ── Topologies ──────────────────────────────────────────────────────────────
+
+function buildTopologyPicker() {
+  for (const t of TOPOLOGIES) {
+    inputTopology.add(new Option(t.name, t.id));
+  }
+  inputTopology.value = DEFAULT_TOPOLOGY;
+}
+
+// ── Global constraints ──────────────────────────────────────────────────────
+
+/**
+ * Refill the constraints panel from `constraints`: one line per constraint
+ * with a button to drop it, and terrain ticks for adding another.
+ */
+function buildConstraints() {
+  btnConstraints.textContent = constraints.length > 0 ? `Constraints (${constraints.length})` : "Constraints";
+  constraintsEl.hidden = !btnConstraints.classList.contains("active");
+
+  constraintsList.replaceChildren(...constraints.map((c, i) => {
+    const li = document.createElement("li");
+    const remove = document.createElement("button");
+    remove.className = "btn-secondary";
+    remove.textContent = "✕";
+    remove.title = "Drop this constraint";
+    remove.addEventListener("click", () => setConstraints(constraints.filter((_, j) => j !== i)));
+    const text = describeConstraint(ruleset, c);
+    li.append(text[0].toUpperCase() + text.slice(1), remove);
+    return li;
+  }));
+  if (constraints.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "None – only the tile rules apply";
+    constraintsList.append(li);
+  }
+
+  for (const el of [constraintTerrain, constraintOver]) {
+    el.replaceChildren(...ruleset.source.terrains.map(t => {
+      const label = document.createElement("label");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = t.id;
+      label.append(box, ` ${t.label || t.id}`);
+      return label;
+    }));
+  }
+  showConstraintForm();
+}
+
+/** Show the fields the picked constraint type takes. */
+function showConstraintForm() {
+  const type = constraintType.value;
+  constraintBounds.hidden = type === "connected";
+  constraintOverField.hidden = type !== "connected";
+  constraintMin.placeholder = type === "coverage" ? "0%" : "0";
+  constraintMax.placeholder = type === "coverage" ? "100%" : "any";
+}
+
+function addConstraint() {
+  const type = constraintType.value;
+  const ticked = el => [...el.querySelectorAll("input:checked")].map(box => box.value);
+  // Coverage is typed in percent but stored as a share
+  const bound = input => input.value === "" ? undefined : type === "coverage" ? +input.value / 100 : +input.value;
+  const c = type === "connected"
+    ? { type, terrain: ticked(constraintTerrain), over: ticked(constraintOver) }
+    : { type, terrain: ticked(constraintTerrain), min: bound(constraintMin), max: bound(constraintMax) };
+  setConstraints([...constraints, c]);
+}
+
+/** Replace the global constraints and start a new grid with them. */
+function setConstraints(list) {
+  if (running) return;
+  try {
+    constraints = normaliseConstraints(list, ruleset.terrains);
+  } catch (err) {
+    statusText.textContent = `⚠️ ${err.message}`;
+    return;
+  }
+  buildConstraints();
+  init({ keepPaint: true });
+}
+
+// ── Rulesets ────────────────────────────────────────────────────────────────
+
+function buildRulesetPicker() {
+  for (const r of BUILTIN_RULESETS) {
+    inputRuleset.add(new Option(r.name, r.url));
+  }
+  inputRuleset.add(new Option("Load file…", "file"));
+}
+
+/** Rebuild the legend from the active ruleset. */
+function buildLegend() {
+  legendEl.replaceChildren();
+  const item = (colour, label) => {
+    const el = document.createElement("span");
+    el.className = "legend-item";
+    const swatch = document.createElement("span");
+    swatch.className = "swatch";
+    if (colour) swatch.style.background = colour;
+    else swatch.classList.add("swatch-superposition");
+    el.append(swatch, ` ${label}`);
+    legendEl.append(el);
+  };
+  for (const entry of ruleset.legend) {
+    item(tileColour(ruleset, entry), entry.label);
+  }
+  item(null, "Superposition");
+}
+
+/** Rebuild the brush palette: start tool, one brush per terrain, eraser. */
+function buildBrushes() {
+  brushesEl.replaceChildren();
+  const add = (id, text, title) => {
+    const btn = document.createElement("button");
+    btn.className = "brush";
+    btn.dataset.brush = id;
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener("click", () => selectBrush(id));
+    brushesEl.append(btn);
+  };
+  add("start", "▶ Start", "Click a cell to start the collapse from it");
+  for (const t of ruleset.source.terrains) {
+    add(t.id, `${t.icon || ""} ${t.label || t.id}`.trim(), `Paint ${t.label || t.id} (click or drag)`);
+  }
+  add("erase", "✕ Erase", "Remove painted constraints");
+  add("reroll", "⬚ Re-roll", "Drag a rectangle (hold Shift for a lasso) to generate just those cells again");
+
+  const clear = document.createElement("button");
+  clear.className = "brush brush-clear";
+  clear.textContent = "Clear paint";
+  clear.addEventListener("click", () => {
+    if (running) return;
+    init();
+  });
+  brushesEl.append(clear);
+
+  if (!["start", "erase", "reroll"].includes(brush) && !ruleset.terrains.has(brush)) brush = "start";
+  selectBrush(brush);
+}
+
+function selectBrush(id) {
+  brush = id;
+  for (const btn of brushesEl.querySelectorAll(".brush[data-brush]")) {
+    btn.classList.toggle("active", btn.dataset.brush === id);
+  }
+  canvas.classList.toggle("painting", id !== "start");
+}
+
+/** Switch to the ruleset picked in the dropdown (compiling it if needed). */
+async function selectRuleset() {
+  const key = inputRuleset.value;
+  try {
+    if (!rulesets.get(key)) rulesets.set(key, await loadRuleset(key));
+  } catch (err) {
+    statusText.textContent = `⚠️ ${err.message}`;
+    inputRuleset.value = rulesetKey;
+    return;
+  }
+  rulesetKey = key;
+  ruleset = rulesets.get(key);
+  constraints = ruleset.constraints;
+  buildLegend();
+  buildBrushes();
+  buildConstraints();
+  init();
+}
+
+/** Offer a compiled ruleset in the picker (above "Load file…") and switch to it. */
+function addRuleset(key, label, compiled) {
+  if (!rulesets.has(key)) {
+    inputRuleset.add(new Option(label, key), inputRuleset.options.length - 1);
+  }
+  rulesets.set(key, compiled);
+  inputRuleset.value = rulesetKey = key;
+  ruleset = compiled;
+  constraints = ruleset.constraints;
+  buildLegend();
+  buildBrushes();
+  buildConstraints();
+  init();
+}
+
+async function loadRulesetFile(file) {
+  try {
+    const compiled = compileRuleset(JSON.parse(await file.text()));
+    addRuleset(`file:${file.name}`, `${compiled.name} (${file.name})`, compiled);
+  } catch (err) {
+    statusText.textContent = `⚠️ Invalid ruleset: ${err.message}`;
+  }
+}
+
+function saveRuleset() {
+  download(`ruleset-${ruleset.id}.json`, JSON.stringify(ruleset.source, null, 2), "application/json");
+}
+
+// ── Learning from a sample ──────────────────────────────────────────────────
+
+function buildModelPicker() {
+  for (const m of SAMPLE_MODELS) {
+    if (m.id === "patterns") {
+      for (const n of PATTERN_SIZES) inputModel.add(new Option(`${m.name} ${n}×${n}`, `${m.id}:${n}`));
+    } else {
+      inputModel.add(new Option(m.name, m.id));
+    }
+  }
+}
+
+/**
+ * Learn a ruleset from the map on the grid and switch to it.  Collapsed
+ * cells are the sample; painted cells that are still open count as their
+ * most likely option, so a painted sketch works as well as a finished map.
+ */
+function learnFromGrid() {
+  if (running) return;
+  const tiles = Int16Array.from(grid.collapsed);
+  for (const idx of grid.constraints.keys()) {
+    const open = grid.getOptions(idx);
+    if (tiles[idx] === -1 && open.length > 0) {
+      tiles[idx] = open.reduce((a, b) => (ruleset.weights[b] > ruleset.weights[a] ? b : a));
+    }
+  }
+  const [model, n] = inputModel.value.split(":");
+  try {
+    const doc = learnRuleset(ruleset, { width: gridW, height: gridH, tiles }, {
+      model,
+      n: +n || undefined,
+      wrap: grid.wrap,
+      topology: grid.topology.id,
+    });
+    const compiled = compileRuleset(doc);
+    addRuleset(`learned:${compiled.id}`, compiled.name, compiled);
+    statusText.textContent =
+      `🧠 Learned ${compiled.tiles.length} tiles from ${tiles.filter(t => t !== -1).length} cells – click a cell to generate…`;
+  } catch (err) {
+    statusText.textContent = `⚠️ Couldn't learn rules: ${err.message}`;
+  }
+}
+
+// ── Save / load ─────────────────────────────────────────────────────────────
+
+function mapFileName() {
+  return `map-${grid.seed ?? "custom"}-${grid.width}x${grid.height}`;
+}
+
+function saveGrid() {
+  if (!grid) return;
+  download(`${mapFileName()}.json`, JSON.stringify(grid.toJSON()), "application/json");
+}
+
+function buildExportPicker() {
+  for (const f of EXPORT_FORMATS) {
+    inputExport.add(new Option(f.name, f.id));
+  }
+}
+
+/**
+ * Download the grid in the chosen export format (see export.js); the
+ * Tiled formats download their tileset image alongside.  Undecided cells
+ * export as empty.
+ */
+function exportGrid() {
+  if (!grid) return;
+  const format = EXPORT_FORMATS.find(f => f.id === inputExport.value);
+  const name = mapFileName();
+  const tileset = `${name}-tileset.png`;
+  download(`${name}.${format.ext}`, format.write(grid, { tileset }), format.type);
+  if (format.tileset) download(tileset, tilesetPNG(grid), "image/png");
+}
+
+/** Offer `data` (a string or bytes) as a file download. */
+function download(name, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** Restore a saved grid document, switching ruleset if needed. */
+async function loadGrid(file) {
+  if (running) return;
+  try {
+    const doc = JSON.parse(await file.text());
+
+    // Find the ruleset it was saved with: already compiled, or bundled
+    let key = [...rulesets].find(([, r]) => r && r.id === doc.ruleset)?.[0];
+    if (!key) {
+      const builtin = BUILTIN_RULESETS.find(r => r.id === doc.ruleset);
+      if (!builtin) throw new Error(`load ruleset "${doc.ruleset}" first`);
+      key = builtin.url;
+      rulesets.set(key, await loadRuleset(key));
+    }
+    const loaded = WFCGrid.fromJSON(doc, { ruleset: rulesets.get(key) });
+
+    if (key !== rulesetKey) {
+      inputRuleset.value = rulesetKey = key;
+      ruleset = rulesets.get(key);
+      buildLegend();
+      buildBrushes();
+    }
+
+    cancelAnim();
+    generated = false;
+    startCell = -1;
+    rerolls = [];
+    timeline = null;
+    updateTransport();
+    grid = loaded;
+    gridW = grid.width;
+    gridH = grid.height;
+    inputW.value = gridW;
+    inputH.value = gridH;
+    inputSeed.value = grid.seed ?? "";
+    inputBacktracks.value = grid.maxBacktracks;
+    inputHeuristic.value = grid.heuristic.id;
+    inputWrap.value = grid.wrap;
+    inputTopology.value = grid.topology.id;
+    constraints = grid.globalConstraints;
+    buildConstraints();
+    statusSeed.textContent = `seed ${grid.seed}`;
+
+    renderer = createRenderer(grid.topology.id);
+    buildInspector();
+    renderer.draw(grid);
+    buildPreview();
+    statusText.textContent = grid.totalCollapsed() === grid.size
+      ? `📂 Loaded ${file.name}`
+      : `📂 Loaded ${file.name} – click a cell to resume the collapse…`;
+    updateCount();
+  } catch (err) {
+    statusText.textContent = `⚠️ Couldn't load ${file.name}: ${err.message}`;
+  }
+}
+
 function updateCount() {
   const total = grid.size;
   const done = grid.totalCollapsed();
-  statusCount.textContent = `${done} / ${total} collapsed`;
+  progressEl.value = done / total;
+  const bt = grid.backtracks > 0 ? ` · ${grid.backtracks} backtracks` : "";
+  statusCount.textContent = `${done} / ${total} collapsed${bt}`;
+}
+
+function contradictionMessage() {
+  return grid.maxBacktracks > 0
+    ? `⚠️ Contradiction – backtrack budget (${grid.maxBacktracks}) exhausted. Try a new grid or a bigger budget.`
+    : "⚠️ Contradiction! Try again with a new grid.";
+}
+
+// ── Links ───────────────────────────────────────────────────────────────────
+
+/**
+ * Put a link to the map in the address bar and on the clipboard.  It holds
+ * the settings, seed, painted cells, start cell and re-rolled regions –
+ * everything needed to generate the same map again (see share.js).
+ */
+async function copyLink() {
+  if (!grid) return;
+  if (!BUILTIN_RULESETS.some(r => r.url === rulesetKey)) {
+    statusText.textContent = "⚠️ Links only work with the bundled rulesets – save the map instead.";
+    return;
+  }
+  if (!rerolls) {
+    statusText.textContent = "⚠️ A region was re-rolled part-way back along the timeline, which a link can't replay – save the map instead.";
+    return;
+  }
+  const ownConstraints = JSON.stringify(constraints) === JSON.stringify(ruleset.constraints);
+  const hash = encodeLink({
+    ruleset,
+    width: gridW,
+    height: gridH,
+    topology: grid.topology.id,
+    wrap: grid.wrap,
+    seed: grid.seed,
+    heuristic: grid.heuristic.id,
+    backtracks: grid.maxBacktracks,
+    speed: inputSpeed.value,
+    start: startCell,
+    rerolls,
+    paint: grid.constraints,
+    constraints: ownConstraints ? undefined : constraints,
+  });
+  history.replaceState(null, "", `#${hash}`);
+  const url = new URL(`#${hash}`, location.href).href;
+  try {
+    await navigator.clipboard.writeText(url);
+    statusText.textContent = "🔗 Link copied to the clipboard.";
+  } catch {
+    statusText.textContent = "🔗 Copy the link from the address bar.";
+  }
+}
+
+/**
+ * Rebuild the map a link describes: switch to its ruleset and settings,
+ * paint its cells and, if it was generated, collapse it from the same
+ * start cell and re-roll the same regions.  A link that can't be used
+ * leaves the page as it was.
+ */
+async function openLink(hash) {
+  let link;
+  try {
+    link = decodeLink(hash);
+    const builtin = BUILTIN_RULESETS.find(r => r.id === link.ruleset);
+    if (!builtin) throw new Error(`unknown ruleset "${link.ruleset}"`);
+    if (!rulesets.get(builtin.url)) rulesets.set(builtin.url, await loadRuleset(builtin.url));
+    const compiled = rulesets.get(builtin.url);
+    const offered = (select, value) => [...select.options].some(o => o.value === value);
+    for (const [select, key] of [[inputTopology, "topology"], [inputWrap, "wrap"], [inputHeuristic, "heuristic"], [inputSpeed, "speed"]]) {
+      if (link[key] !== undefined && !offered(select, link[key])) throw new Error(`unknown ${key} "${link[key]}"`);
+    }
+    link.constraints = link.constraints ? normaliseConstraints(link.constraints, compiled.terrains) : compiled.constraints;
+
+    inputRuleset.value = rulesetKey = builtin.url;
+    ruleset = compiled;
+  } catch (err) {
+    if (!ruleset) await selectRuleset();
+    statusText.textContent = `⚠️ Couldn't open the link: ${err.message}`;
+    return;
+  }
+
+  inputW.value = link.width;
+  inputH.value = link.height;
+  inputSeed.value = link.seed ?? "";
+  for (const [input, key] of [[inputTopology, "topology"], [inputWrap, "wrap"], [inputHeuristic, "heuristic"], [inputSpeed, "speed"], [inputBacktracks, "backtracks"]]) {
+    if (link[key] !== undefined) input.value = link[key];
+  }
+  constraints = link.constraints;
+  buildLegend();
+  buildBrushes();
+  buildConstraints();
+  init();
+
+  for (const [idx, allowed] of link.paint) {
+    let result;
+    try {
+      result = grid.constrain(idx, allowed);
+    } catch {
+      result = { ok: false, idx };
+    }
+    if (!result.ok) {
+      statusText.textContent = `⚠️ The link's painting doesn't fit the ruleset at cell (${idx % gridW}, ${Math.floor(idx / gridW)}).`;
+      renderer.draw(grid);
+      updateCount();
+      return;
+    }
+  }
+  renderer.draw(grid);
+  preview?.draw(grid);
+  updateCount();
+  if (link.start === undefined && link.rerolls.length === 0) return;
+  generated = true;
+  startCell = link.start ?? -1;
+  rerolls = link.rerolls;
+  replayRerolls(startCell, link.rerolls);
+}
+
+/**
+ * Bring the grid to where the last of `regions` was re-rolled and collapse it
+ * from there; `start` is -1 when the first run was a re-roll of the blank
+ * map.  Each run before it is finished in the solver worker, unwatched,
+ * and the grid takes on the worker's PRNG as a watched run does, so `reopen`
+ * draws just as it did then.  Cancel stops it like any run.
+ */
+function replayRerolls(start, regions, k = 0) {
+  if (k === regions.length) {
+    if (start >= 0) {
+      animate(start);
+    } else {
+      stopWith("⚠️ The link's last re-rolled region couldn't be generated again, as when it was made.");
+    }
+    return;
+  }
+  const reopen = () => {
+    start = grid.reopen(regions[k].cells).ok ? regions[k].start : -1;
+    renderer.draw(grid, grid.dirty);
+    grid.dirty.clear();
+    replayRerolls(start, regions, k + 1);
+  };
+  if (start < 0) {
+    reopen();
+    return;
+  }
+
+  setRunning(true);
+  statusText.textContent = `Replaying the link's re-rolls (${k + 1} of ${regions.length})…`;
+  solver = new Worker(new URL("./solver-worker.js", import.meta.url), { type: "module" });
+  solver.onmessage = ({ data }) => {
+    if (data.type === "error") {
+      stopWith(`⚠️ Solver error: ${data.message}`);
+      return;
+    }
+    if (!running) return;
+    for (const cells of data.cells) grid.importCells(cells);
+    const rng = data.rng[data.rng.length - 1];
+    if (rng !== undefined && rng !== null) grid.random = createRng(grid.seed, rng);
+    if (!data.finished) {
+      solver.postMessage({ type: "step", maxEvents: Infinity, maxMs: 50 });
+      return;
+    }
+    cancelAnim();
+    reopen();
+  };
+  solver.onerror = (e) => stopWith(`⚠️ Solver error: ${e.message}`);
+  solver.postMessage({ type: "start", ruleset: ruleset.source, grid: grid.toJSON(), startIdx: start });
+  solver.postMessage({ type: "step", maxEvents: Infinity, maxMs: 50 });
 }
 
 // ── Animation loop ──────────────────────────────────────────────────────────
 
-function cancelAnim() {
+function cancelTick() {
   if (animId !== null) {
     cancelAnimationFrame(animId);
     animId = null;
   }
+  clearTimeout(tickTimer);
+  tickTimer = null;
+}
+
+function cancelAnim() {
+  cancelTick();
+  if (solver) {
+    solver.terminate();
+    solver = null;
+  }
+  pending = false;
+  setPlaying(false);
+  setRunning(false);
+}
+
+function setRunning(on) {
+  running = on;
+  btnCancel.hidden = !on;
+}
+
+function setPlaying(on) {
+  playing = on;
+  if (!on) cancelTick();
+  updateTransport();
 }
 
 /**
- * Step through the WFC generator, yielding to the browser between steps
- * so the user sees an animated propagation.
+ * Run the collapse in a Web Worker, pulling batches of events at the pace
+ * set by the Speed control so the user sees an animated propagation while
+ * the page stays responsive.  Every event goes onto the timeline, so the run
+ * can be paused, stepped and scrubbed (see Timeline).
  */
-async function animate(gen) {
-  running = true;
+function animate(startIdx) {
+  timeline = new Timeline(grid.random.getState?.() ?? null);
+  setRunning(true);
   statusText.textContent = "Collapsing…";
 
-  const delayMs = () => +inputSpeed.value;
+  solver = new Worker(new URL("./solver-worker.js", import.meta.url), { type: "module" });
+  solver.onmessage = ({ data }) => {
+    if (data.type === "batch") onBatch(data);
+    else if (data.type === "error") stopWith(`⚠️ Solver error: ${data.message}`);
+  };
+  solver.onerror = (e) => stopWith(`⚠️ Solver error: ${e.message}`);
+  solver.postMessage({ type: "start", ruleset: ruleset.source, grid: grid.toJSON(), startIdx });
+  setPlaying(true);
+  tick();
+}
 
-  function step() {
-    if (!running) return;
+/** Events per animation step when not blazing. */
+function paceEvents() {
+  return Math.max(1, Math.round(grid.size / PACE_CELLS));
+}
 
-    const { value: event, done } = gen.next();
-    if (done) {
-      running = false;
-      statusText.textContent = "✅ Generation complete!";
-      renderer.draw(grid);
-      updateCount();
-      return;
+/**
+ * One step of playback: replay recorded events while the cursor is behind,
+ * then ask the worker for new ones.
+ */
+function tick() {
+  animId = null;
+  tickTimer = null;
+  if (!playing) return;
+  if (!timeline.atEnd) {
+    const blazing = +inputSpeed.value < 10;
+    const t0 = performance.now();
+    for (let i = 0; blazing ? performance.now() - t0 < 12 : i < paceEvents(); i++) {
+      const event = timeline.forward(grid);
+      if (!event) break;
+      flashEvent(event, blazing || i > 0);
     }
+    showTimelineChanges();
+    scheduleTick();
+  } else if (running) {
+    requestBatch();
+  } else {
+    setPlaying(false);
+  }
+}
+
+function scheduleTick() {
+  const delayMs = +inputSpeed.value;
+  if (delayMs < 10) {
+    animId = requestAnimationFrame(tick);
+  } else {
+    tickTimer = setTimeout(() => {
+      tickTimer = null;
+      if (playing) animId = requestAnimationFrame(tick);
+    }, delayMs);
+  }
+}
+
+/** Ask the worker for the next batch, or for one event with `single`. */
+function requestBatch(single = false) {
+  if (!running || !solver || pending) return;
+  pending = true;
+  const blazing = !single && +inputSpeed.value < 10;
+  solver.postMessage({
+    type: "step",
+    // Blazing: as much as fits in a frame; otherwise a fixed number of events
+    maxEvents: single ? 1 : blazing ? Infinity : paceEvents(),
+    maxMs: blazing ? 12 : 50,
+  });
+}
+
+function stopWith(message) {
+  cancelAnim();
+  statusText.textContent = message;
+  renderer.draw(grid);
+  preview?.draw(grid);
+  updateCount();
+  showInspected();
+}
 
-    switch (event.type) {
-      case "collapse":
-        renderer.flashCells([event.idx], "#fbbf24", 8);
-        break;
+/** Record one batch from the worker, animating the events the cursor reaches. */
+function onBatch({ events, cells, rng, finished }) {
+  pending = false;
+  if (!running) return;
 
-      case "propagate":
-        renderer.flashCells(event.changed, "#6366f1", 5);
-        break;
+  const fast = events.length > 1;
+  events.forEach((event, i) => {
+    if (timeline.record(grid, event, cells[i], rng[i])) flashEvent(event, fast);
+  });
+  showTimelineChanges();
 
-      case "contradiction":
-        running = false;
-        statusText.textContent = "⚠️ Contradiction! Try again with a new grid.";
-        renderer.draw(grid);
-        updateCount();
-        return;
+  const last = events[events.length - 1];
+  if (last?.type === "contradiction") {
+    stopWith(contradictionMessage());
+    if (last.explanation) showExplanation(last.explanation);
+  } else if (finished) {
+    stopWith("✅ Generation complete!");
+  } else if (playing) {
+    scheduleTick();
+  }
+}
 
-      case "done":
-        running = false;
-        statusText.textContent = "✅ Generation complete!";
-        renderer.draw(grid);
-        updateCount();
-        return;
-    }
+/** Flash the cells an event changed, and say what's happening. */
+function flashEvent(event, fast) {
+  switch (event.type) {
+    case "collapse":
+      renderer.flashCells([event.idx], "#fbbf24", fast ? 4 : 8);
+      if (running && playing) statusText.textContent = "Collapsing…";
+      break;
 
-    renderer.draw(grid);
-    updateCount();
+    case "propagate":
+      renderer.flashCells(event.changed, "#6366f1", fast ? 3 : 5);
+      break;
 
-    // Schedule next step
-    if (delayMs() < 10) {
-      // Batch multiple steps per frame for "blazing" speed
-      animId = requestAnimationFrame(() => {
-        for (let i = 0; i < 5 && running; i++) {
-          const inner = gen.next();
-          if (inner.done) { running = false; break; }
-          if (inner.value.type === "collapse") {
-            renderer.flashCells([inner.value.idx], "#fbbf24", 4);
-          } else if (inner.value.type === "propagate") {
-            renderer.flashCells(inner.value.changed, "#6366f1", 3);
-          } else if (inner.value.type === "contradiction") {
-            running = false;
-            statusText.textContent = "⚠️ Contradiction! Try again with a new grid.";
-          } else if (inner.value.type === "done") {
-            running = false;
-            statusText.textContent = "✅ Generation complete!";
-          }
-        }
-        renderer.draw(grid);
-        updateCount();
-        if (running) step();
-      });
-    } else {
-      setTimeout(() => {
-        animId = requestAnimationFrame(step);
-      }, delayMs());
+    case "backtrack":
+      renderer.flashCells(event.restored, "#ef4444", fast ? 6 : 8);
+      renderer.flashCells([event.idx], "#ef4444", fast ? 6 : 8);
+      if (running && playing) statusText.textContent = "↩️ Backtracking…";
+      break;
+
+    case "contradiction":
+      renderer.flashCells([event.idx], "#ef4444", 8);
+      break;
+  }
+}
+
+// ── Timeline ────────────────────────────────────────────────────────────────
+
+/** Draw the cells the timeline moved and bring the counters up to date. */
+function showTimelineChanges() {
+  grid.backtracks = timeline.backtracks;
+  // The run draws on the worker's copy; keep Save and re-rolls in step with it
+  if (timeline.rng !== null) grid.random = createRng(grid.seed, timeline.rng);
+  renderer.draw(grid, grid.dirty);
+  preview?.draw(grid, grid.dirty);
+  grid.dirty.clear();
+  updateCount();
+  updateTransport();
+  showInspected();
+}
+
+function updateTransport() {
+  timelineEl.hidden = !timeline;
+  btnPlay.textContent = playing ? "⏸" : "▶";
+  btnPlay.title = playing ? "Pause" : "Play";
+  if (!timeline) return;
+  btnStepBack.disabled = timeline.position === 0;
+  btnStep.disabled = timeline.atEnd && !running;
+  inputTimeline.max = timeline.length;
+  inputTimeline.value = timeline.position;
+  timelineLabel.textContent =
+    `${timeline.position} / ${timeline.length} · ${describeEvent(timeline.current)}`;
+}
+
+/** One line about a run event, for the timeline. */
+function describeEvent(event) {
+  const cell = i => `(${i % gridW}, ${Math.floor(i / gridW)})`;
+  switch (event?.type) {
+    case undefined:
+      return "before the first collapse";
+    case "collapse":
+      return `${cell(event.idx)} collapsed to ${tileLabel(ruleset, event.tile)}`;
+    case "propagate": {
+      const k = event.changed.length;
+      return k === 0 ? "nothing else changed" : `${k} cell${k === 1 ? "" : "s"} lost options`;
     }
+    case "backtrack":
+      return `backtracked: ${cell(event.idx)} can't be ${tileLabel(ruleset, event.tile)}`;
+    case "contradiction":
+      return `contradiction at ${cell(event.idx)}`;
+    default:
+      return "done";
   }
+}
 
-  step();
+function pause() {
+  setPlaying(false);
+  if (running) statusText.textContent = "⏸ Paused – step through the run or drag the timeline";
 }
 
-// ── Event handlers ──────────────────────────────────────────────────────────
+function togglePlay() {
+  if (!timeline) return;
+  if (playing) {
+    pause();
+    return;
+  }
+  // Play from the start again once a finished run has been watched
+  if (timeline.atEnd && !running) timeline.seek(grid, 0);
+  if (running) statusText.textContent = "Collapsing…";
+  setPlaying(true);
+  tick();
+}
 
-canvas.addEventListener("click", (e) => {
-  if (running) return;
+function stepForward() {
+  if (!timeline) return;
+  pause();
+  const event = timeline.forward(grid);
+  if (event) {
+    flashEvent(event, false);
+    showTimelineChanges();
+  } else {
+    requestBatch(true);
+  }
+}
+
+function stepBack() {
+  if (!timeline) return;
+  pause();
+  const event = timeline.back(grid);
+  if (!event) return;
+  flashEvent(event, false);
+  showTimelineChanges();
+}
+
+function scrubTo(position) {
+  if (!timeline) return;
+  pause();
+  timeline.seek(grid, position);
+  showTimelineChanges();
+}
+
+// ── Regenerating a region ───────────────────────────────────────────────────
+
+/** Work out the cells of the region being dragged out and tint them. */
+function updateSelection() {
+  const { path, lasso } = selecting;
+  selecting.cells = lasso
+    ? lassoCells(grid.topology, gridW, gridH, path)
+    : rectangleCells(gridW, path[0], path[path.length - 1]);
+  renderer.showSelection(selecting.cells);
+  renderer.draw(grid);
+  statusText.textContent = `${selecting.cells.length} cells selected – let go to generate them again`;
+}
+
+/**
+ * Put the selected cells back into superposition (see `WFCGrid.reopen`)
+ * and run the collapse on them; every other cell stays as it is.
+ */
+function regenerateSelection() {
+  const { path, cells } = selecting;
+  selecting = null;
+  renderer.showSelection();
+  hideExplanation();
+
+  // A link replays re-rolls on the finished map, so not one made part-way
+  // back along the timeline
+  if (rerolls) rerolls = timeline && !timeline.atEnd ? null : [...rerolls, { start: path[0], cells }];
+
+  const result = grid.reopen(cells);
+  preview?.draw(grid);
+  updateCount();
+  if (!result.ok) {
+    renderer.draw(grid);
+    const [x, y] = [result.idx % gridW, Math.floor(result.idx / gridW)];
+    statusText.textContent = `⚠️ Can't regenerate that region – cell (${x}, ${y}) has no options left. Try a bigger one.`;
+    showExplanation(grid.explainCell(result.idx));
+    return;
+  }
+  generated = true;
+  animate(path[0]);
+}
+
+// ── Event handlers ──────────────────────────────────────────────────────────
 
+/** Canvas cell under a pointer event, or -1. */
+function cellAt(e) {
   const rect = canvas.getBoundingClientRect();
   const scaleX = canvas.width / rect.width;
   const scaleY = canvas.height / rect.height;
   const px = (e.clientX - rect.left) * scaleX;
   const py = (e.clientY - rect.top) * scaleY;
-  const idx = renderer.hitTest(px, py);
+  return renderer.hitTest(px, py);
+}
+
+/**
+ * Apply the active brush to one cell.  Erasing a cell, or painting it with
+ * tiles its paint had ruled out, means rebuilding the grid, so those wait in
+ * `strokeRepaint` for the end of the stroke and are done with one rebuild
+ * (see `finishStroke`) – and once one waits, so does the rest of the stroke,
+ * to keep its order.
+ */
+function paintCell(idx) {
+  if (idx < 0 || idx === lastPainted) return;
+  lastPainted = idx;
+
+  const previous = grid.constraints.get(idx);
+  const tiles = brush === "erase" ? null : ruleset.tiles.flatMap((t, i) => t.terrain === brush ? [i] : []);
+  const narrows = tiles && (!previous || tiles.every(t => previous.includes(t)));
+  if (strokeRepaint.size > 0 || !narrows) {
+    if (!previous && !tiles) return;
+    strokeRepaint.delete(idx);
+    strokeRepaint.set(idx, tiles);
+    renderer.flashCells([idx], "#6366f1", 5);
+    return;
+  }
+
+  // Within the cell's paint the new tiles are what the intersection leaves
+  const result = grid.constrain(idx, tiles);
+  if (result.ok) {
+    renderer.flashCells(result.changed, "#6366f1", 5);
+  } else {
+    refusePaint(idx, brush, result);
+  }
+  showPainted();
+}
+
+/** Apply the cells a stroke left waiting in `strokeRepaint`, with one rebuild. */
+function finishStroke() {
+  painting = false;
+  if (strokeRepaint.size === 0) return;
+  const repaint = strokeRepaint;
+  strokeRepaint = new Map();
+
+  const previous = new Map([...repaint.keys()].map(idx => [idx, grid.constraints.get(idx)]));
+  grid.unconstrain([...repaint.keys()]);
+  for (const [idx, tiles] of repaint) {
+    if (!tiles) continue;
+    const result = grid.constrain(idx, tiles);
+    if (result.ok) continue;
+    if (previous.get(idx)) grid.constrain(idx, previous.get(idx));
+    refusePaint(idx, ruleset.tiles[tiles[0]].terrain, result);
+  }
+  showPainted();
+}
+
+/** Say why painting `terrain` on cell idx was refused. */
+function refusePaint(idx, terrain, result) {
+  const [x, y] = [result.idx % gridW, Math.floor(result.idx / gridW)];
+  const label = ruleset.terrains.get(terrain).label || terrain;
+  statusText.textContent = `⚠️ Can't paint ${label} there – cell (${x}, ${y}) would have no options left.`;
+  showExplanation(result.explanation);
+  renderer.flashCells([idx, result.idx], "#ef4444", 8);
+}
+
+function showPainted() {
+  renderer.draw(grid);
+  preview?.draw(grid);
+  updateCount();
+  showInspected();
+}
 
+canvas.addEventListener("pointerdown", (e) => {
+  if (running || !grid) return;
+  const idx = cellAt(e);
   if (idx < 0) return;
-  if (grid.isCollapsed(idx)) return;
 
-  // If grid is already partially done (shouldn't happen on first click), reset
-  if (grid.totalCollapsed() > 0) {
-    init();
+  if (brush === "reroll") {
+    selecting = { path: [idx], lasso: e.shiftKey, cells: [] };
+    canvas.setPointerCapture(e.pointerId);
+    updateSelection();
+    return;
+  }
+
+  if (brush === "start") {
+    if (generated) {
+      if (grid.isCollapsed(idx)) return;
+      // Grid already partially done (e.g. after a contradiction) – start over
+      init({ keepPaint: true });
+    }
+    generated = true;
+    startCell = idx;
+    animate(idx);
+    return;
+  }
+
+  // Painting goes onto the un-generated grid
+  if (generated) init({ keepPaint: true });
+  painting = true;
+  lastPainted = -1;
+  strokeRepaint = new Map();
+  canvas.setPointerCapture(e.pointerId);
+  paintCell(idx);
+});
+
+canvas.addEventListener("pointermove", (e) => {
+  if (painting) paintCell(cellAt(e));
+  if (selecting) {
+    const idx = cellAt(e);
+    if (idx >= 0 && idx !== selecting.path[selecting.path.length - 1]) {
+      selecting.path.push(idx);
+      updateSelection();
+    }
+  }
+  if (!inspectorEl.hidden) {
+    const idx = cellAt(e);
+    if (idx >= 0 && idx !== inspected) {
+      inspected = idx;
+      showInspected();
+    }
   }
+});
+
+for (const type of ["pointerup", "pointercancel"]) {
+  canvas.addEventListener(type, () => { if (painting) finishStroke(); });
+}
+canvas.addEventListener("pointerup", () => {
+  if (selecting) regenerateSelection();
+});
+canvas.addEventListener("pointercancel", () => {
+  if (!selecting) return;
+  selecting = null;
+  renderer.showSelection();
+  renderer.draw(grid);
+});
+
+btnReset.addEventListener("click", () => init({ keepPaint: true }));
+btnSave.addEventListener("click", saveGrid);
+btnExport.addEventListener("click", exportGrid);
+btnCancel.addEventListener("click", () => {
+  if (running) stopWith("⏹ Generation cancelled.");
+});
+btnPlay.addEventListener("click", togglePlay);
+btnStep.addEventListener("click", stepForward);
+btnStepBack.addEventListener("click", stepBack);
+inputTimeline.addEventListener("input", () => scrubTo(+inputTimeline.value));
+btnLoad.addEventListener("click", () => inputLoadFile.click());
+btnShare.addEventListener("click", copyLink);
+window.addEventListener("hashchange", () => openLink(location.hash));
+inputLoadFile.addEventListener("change", () => {
+  const file = inputLoadFile.files[0];
+  inputLoadFile.value = "";
+  if (file) loadGrid(file);
+});
 
-  const gen = grid.run(idx);
-  animate(gen);
+// Drag a saved map onto the grid to load it
+gridWrapper.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  gridWrapper.classList.add("drop-target");
+});
+gridWrapper.addEventListener("dragleave", () => gridWrapper.classList.remove("drop-target"));
+gridWrapper.addEventListener("drop", (e) => {
+  e.preventDefault();
+  gridWrapper.classList.remove("drop-target");
+  const file = e.dataTransfer.files[0];
+  if (file) loadGrid(file);
+});
+inputW.addEventListener("change", () => init());
+inputH.addEventListener("change", () => init());
+inputSeed.addEventListener("change", () => init({ keepPaint: true }));
+inputBacktracks.addEventListener("change", () => init({ keepPaint: true }));
+inputHeuristic.addEventListener("change", () => init({ keepPaint: true }));
+inputWrap.addEventListener("change", () => init({ keepPaint: true }));
+inputTopology.addEventListener("change", () => init());
+inputView.addEventListener("change", switchView);
+inputShading.addEventListener("change", () => {
+  renderer.shading = inputShading.value;
+  renderer.draw(grid);
+});
+btnLearn.addEventListener("click", learnFromGrid);
+btnSaveRules.addEventListener("click", saveRuleset);
+btnPreview.addEventListener("click", () => {
+  btnPreview.classList.toggle("active");
+  buildPreview();
+});
+btnExplainClose.addEventListener("click", hideExplanation);
+btnInspect.addEventListener("click", () => {
+  btnInspect.classList.toggle("active");
+  buildInspector();
+  renderer.draw(grid);
+});
+inputShowOptions.addEventListener("change", () => {
+  buildInspector();
+  renderer.draw(grid);
+});
+btnConstraints.addEventListener("click", () => {
+  btnConstraints.classList.toggle("active");
+  buildConstraints();
+});
+constraintType.addEventListener("change", showConstraintForm);
+btnConstraintAdd.addEventListener("click", addConstraint);
+btnConstraintReset.addEventListener("click", () => setConstraints(ruleset.constraints));
+btnAnalyse.addEventListener("click", () => {
+  btnAnalyse.classList.toggle("active");
+  buildAnalysis();
+});
+analysisCanvas.addEventListener("pointermove", (e) => {
+  if (!heatmap) return;
+  const rect = analysisCanvas.getBoundingClientRect();
+  const k = analysisCanvas.width / rect.width;
+  const pair = heatmap.hitTest((e.clientX - rect.left) * k, (e.clientY - rect.top) * k);
+  if (!pair) return;
+  const [a, b] = pair;
+  const { ruleset: rules, n, analysis: { matrix, topology } } = heatmap;
+  analysisPair.textContent =
+    `${tileLabel(rules, b)} next to ${tileLabel(rules, a)}: ${matrix[a * n + b]} of ${topology.vectors.length} sides`;
 });
 
-btnReset.addEventListener("click", init);
-inputW.addEventListener("change", init);
-inputH.addEventListener("change", init);
+inputRuleset.addEventListener("change", () => {
+  if (inputRuleset.value === "file") {
+    // Keep showing the active ruleset until a file is actually loaded
+    inputRuleset.value = rulesetKey;
+    inputRulesetFile.click();
+    return;
+  }
+  selectRuleset();
+});
+inputRulesetFile.addEventListener("change", () => {
+  const file = inputRulesetFile.files[0];
+  inputRulesetFile.value = "";
+  if (file) loadRulesetFile(file);
+});
 
 // ── Render loop for highlight fade ──────────────────────────────────────────
 
 function renderLoop() {
-  if (!running && renderer.highlights.size > 0) {
-    renderer.draw(grid);
+  if (!playing && renderer && renderer.highlights.size > 0) {
+    renderer.draw(grid, []);
   }
   requestAnimationFrame(renderLoop);
 }
 
 // ── Boot ────────────────────────────────────────────────────────────────────
 
-init();
+buildHeuristicPicker();
+buildTopologyPicker();
+buildRulesetPicker();
+buildModelPicker();
+buildExportPicker();
+if (location.hash.length > 1) await openLink(location.hash);
+else await selectRuleset();
 renderLoop();
@@ -0,0 +1,108 @@
+/**
+ * png.js – Minimal PNG encoder (8-bit RGBA or greyscale), no DOM needed.
+ *
+ * Used by the headless CLI and the exporters.  By default image data is
+ * written as uncompressed ("stored") deflate blocks, which every decoder
+ * accepts; pass a real `deflate` (e.g. Node's `zlib.deflateSync`) for
+ * smaller files.
+ */
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+  let a = 1, b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/** zlib stream made of stored (uncompressed) deflate blocks. */
+function deflateStored(data) {
+  const nBlocks = Math.max(1, Math.ceil(data.length / 0xffff));
+  const out = new Uint8Array(2 + data.length + nBlocks * 5 + 4);
+  let o = 0;
+  out[o++] = 0x78; out[o++] = 0x01;           // zlib header, no compression
+  for (let b = 0; b < nBlocks; b++) {
+    const start = b * 0xffff;
+    const len = Math.min(0xffff, data.length - start);
+    out[o++] = b === nBlocks - 1 ? 1 : 0;     // BFINAL, BTYPE=00
+    out[o++] = len & 0xff; out[o++] = len >>> 8;
+    out[o++] = ~len & 0xff; out[o++] = (~len >>> 8) & 0xff;
+    out.set(data.subarray(start, start + len), o);
+    o += len;
+  }
+  const adler = adler32(data);
+  out[o++] = adler >>> 24; out[o++] = (adler >>> 16) & 0xff;
+  out[o++] = (adler >>> 8) & 0xff; out[o++] = adler & 0xff;
+  return out;
+}
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+/**
+ * Encode pixels as a PNG file.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} pixels – row-major, `channels` bytes per pixel
+ * @param {object} [options]
+ * @param {1|4} [options.channels=4] – 4 = RGBA, 1 = greyscale
+ * @param {(data: Uint8Array) => Uint8Array} [options.deflate] – zlib compressor
+ * @returns {Uint8Array}
+ */
+export function encodePNG(width, height, pixels, options = {}) {
+  const channels = options.channels ?? 4;
+  const deflate = options.deflate ?? deflateStored;
+  if (pixels.length !== width * height * channels) throw new Error("Pixel buffer has the wrong size");
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const stride = width * channels;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = 8;                              // bit depth
+  ihdr[9] = channels === 1 ? 0 : 6;         // colour type: grey / RGBA
+
+  const parts = [
+    Uint8Array.from(SIGNATURE),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", new Uint8Array(deflate(raw))),
+    chunk("IEND", new Uint8Array(0)),
+  ];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
@@ -2,35 +2,56 @@
  * renderer.js – Canvas rendering for the WFC terrain grid.
  */
 
+import { getTopology, DEFAULT_TOPOLOGY } from "./topology.js";
+
 const CELL_SIZE = 32;
 const CELL_GAP = 1;
 
-// ── Colour palette ──────────────────────────────────────────────────────────
+// Big grids shrink their cells to fit this box instead of overflowing
+const MAX_CANVAS_W = 1040;
+const MAX_CANVAS_H = 800;
+const MIN_CELL_SIZE = 2;
+const MIN_DETAIL_SIZE = 14;     // below this, skip icons and labels
+const MAX_SWATCHES = 9;         // option swatches per superposed cell (3 × 3)
 
-const TERRAIN_COLOURS = {
-  sea:      { base: "#2563eb", dark: "#1d4ed8" },
-  ground0:  { base: "#65a30d", dark: "#4d7c0f" },
-  ground1:  { base: "#4d7c0f", dark: "#365314" },
-  ground2:  { base: "#3f6b0a", dark: "#2d5306" },
-  ground3:  { base: "#365a06", dark: "#264503" },
-  ground4:  { base: "#2d4a03", dark: "#1e3502" },
-  ground5:  { base: "#253f02", dark: "#1a2e01" },
-  mountain: { base: "#78716c", dark: "#57534e" },
-  house:    { base: "#f59e0b", dark: "#d97706" },
-};
+// Pointy-top hexagons, in cell widths: row pitch and full height
+const HEX_ROW = Math.sqrt(3) / 2;
+const HEX_HEIGHT = 2 / Math.sqrt(3);
+
+// ── Colour palette ──────────────────────────────────────────────────────────
+// Terrain colours and icons come from the ruleset; only UI colours live here.
 
 const SUPERPOSITION_BG  = "#27272a";
 const JUST_COLLAPSED_BG = "#fbbf24";     // flash colour
 const PROPAGATED_BG     = "#4338ca";     // brief highlight
+const TRACE_FOCUS       = "#ef4444";     // cell an explained contradiction emptied
+const TRACE_CELL        = "#fbbf24";     // cells its chain of removals ran through
+const MORE_OPTIONS      = "#71717a";     // swatch standing in for options that don't fit
+const SELECTION         = "#22d3ee";     // region being picked for regeneration
 
-// ── Emojis / icons for each terrain ─────────────────────────────────────────
+// Relief shading (see Renderer.shading)
+const LIGHT = [-Math.SQRT1_2, -Math.SQRT1_2];   // towards the light: north-west
+const HILLSHADE = 0.2;                           // lighter or darker per z level of slope
+const HILLSHADE_MAX = 0.5;
 
-const TERRAIN_ICON = {
-  sea:      "🌊",
-  ground:   "🌿",
-  mountain: "⛰️",
-  house:    "🏠",
-};
+/**
+ * Fill colour for a collapsed tile, from its terrain's ruleset entry:
+ * either one colour per z level, or a single colour optionally shaded
+ * toward `shade.to` as z climbs through the terrain's range.
+ */
+export function tileColour(ruleset, tile) {
+  const def = ruleset.terrains.get(tile.terrain);
+  const [zMin, zMax] = def.z;
+  if (Array.isArray(def.colour)) {
+    return def.colour[Math.min(tile.z - zMin, def.colour.length - 1)] || "#65a30d";
+  }
+  const base = def.colour || "#65a30d";
+  if (def.shade && zMax > zMin) {
+    const frac = (tile.z - zMin) / (zMax - zMin);
+    return lerpColour(base, def.shade.to, frac * (def.shade.amount ?? 1));
+  }
+  return base;
+}
 
 // ── Renderer class ──────────────────────────────────────────────────────────
 
@@ -39,25 +60,86 @@ export class Renderer {
    * @param {HTMLCanvasElement} canvas
    * @param {number} gridW  – grid columns
    * @param {number} gridH  – grid rows
+   * @param {object} ruleset – compiled ruleset (colours and icons)
+   * @param {string} [topology="square"] – cell layout (see topology.js)
    */
-  constructor(canvas, gridW, gridH) {
+  constructor(canvas, gridW, gridH, ruleset, topology = DEFAULT_TOPOLOGY) {
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
     this.gridW = gridW;
     this.gridH = gridH;
+    this.ruleset = ruleset;
+    this.topology = getTopology(topology);
+    this.hex = this.topology.id === "hex";
 
-    // Fit canvas
-    this.cellPx = CELL_SIZE;
-    this.gap = CELL_GAP;
-    canvas.width = gridW * (this.cellPx + this.gap) + this.gap;
-    canvas.height = gridH * (this.cellPx + this.gap) + this.gap;
+    // Fit canvas – full-size cells up to the size cap, smaller beyond it.
+    // Hex rows interlock, so a hex map is half a cell wider and shorter.
+    const [spanW, spanH] = this.hex ? [gridW + 0.5, (gridH - 1) * HEX_ROW + HEX_HEIGHT] : [gridW, gridH];
+    const fit = Math.floor(Math.min(MAX_CANVAS_W / spanW, MAX_CANVAS_H / spanH));
+    this.gap = fit >= 10 ? CELL_GAP : 0;
+    this.cellPx = Math.max(MIN_CELL_SIZE, Math.min(CELL_SIZE, fit - this.gap));
+    const step = this.cellPx + this.gap;
+    canvas.width = Math.ceil(spanW * step) + this.gap;
+    canvas.height = Math.ceil(spanH * step) + this.gap;
 
     // Highlight state for animation
     this.highlights = new Map();  // idx → { colour, frames }
+
+    /** Cells whose highlight just ended and still show a faint overlay. */
+    this._fading = new Set();
+
+    /** Explained contradiction being shown: `{ cells: Set, focus }`, or null. */
+    this.trace = null;
+
+    /** Cells picked for regeneration (a Set), or null. */
+    this.selection = null;
+
+    /**
+     * Draw swatches of each superposed cell's remaining options instead of
+     * its option count (on cells big enough for labels).  Takes effect on
+     * the next full draw.
+     */
+    this.showOptions = false;
+    this._colours = ruleset.tiles.map(tile => tileColour(ruleset, tile));
+
+    /**
+     * Relief drawn from the elevations around each collapsed cell: "none",
+     * "hillshade" (slopes lit from the north-west), "contours" (a line
+     * wherever the land steps down to a neighbour; flat view only) or
+     * "both".  Takes effect on the next full draw.
+     */
+    this.shading = "none";
+
+    // Unit vector towards each side's neighbour, in layout units
+    const [q, r] = this.topology.toLattice(2, 2);
+    const [cx, cy] = this.topology.centre(2, 2);
+    this._sideDirs = this.topology.vectors.map(([dq, dr]) => {
+      const [nx, ny] = this.topology.centre(...this.topology.fromLattice(q + dq, r + dr));
+      const len = Math.hypot(nx - cx, ny - cy);
+      return [(nx - cx) / len, (ny - cy) / len];
+    });
+  }
+
+  /**
+   * Mark the cells an explanation runs through (see `WFCGrid.explainCell`)
+   * until called again without any; `focus` is the cell that ran out of
+   * options.  Takes effect on the next full draw.
+   */
+  showTrace(cells = [], focus = -1) {
+    this.trace = focus >= 0 || cells.length > 0 ? { cells: new Set(cells), focus } : null;
+  }
+
+  /**
+   * Tint the cells of a region being picked until called again without
+   * any.  Takes effect on the next full draw.
+   */
+  showSelection(cells = []) {
+    this.selection = cells.length > 0 ? new Set(cells) : null;
   }
 
   /** Convert pixel coords → cell index or -1 */
   hitTest(px, py) {
+    if (this.hex) return this._hexHitTest(px, py);
     const step = this.cellPx + this.gap;
     const cx = Math.floor((px - this.gap) / step);
     const cy = Math.floor((py - this.gap) / step);
@@ -65,6 +147,31 @@ export class Renderer {
     return cy * this.gridW + cx;
   }
 
+  /** Centre of cell (x, y) in canvas pixels (hex layout). */
+  _hexCentre(x, y) {
+    const step = this.cellPx + this.gap;
+    const [ux, uy] = this.topology.centre(x, y);
+    return [this.gap / 2 + ux * step, this.gap / 2 + uy * step];
+  }
+
+  /** Nearest hex centre wins; -1 outside every hex. */
+  _hexHitTest(px, py) {
+    const step = this.cellPx + this.gap;
+    const row = Math.floor(py / (step * HEX_ROW));
+    let best = -1, bestDist = step / Math.sqrt(3);
+    for (let y = row - 1; y <= row + 1; y++) {
+      if (y < 0 || y >= this.gridH) continue;
+      const col = Math.floor(px / step - (y & 1) / 2);
+      for (let x = col - 1; x <= col + 1; x++) {
+        if (x < 0 || x >= this.gridW) continue;
+        const [cx, cy] = this._hexCentre(x, y);
+        const dist = Math.hypot(px - cx, py - cy);
+        if (dist < bestDist) [best, bestDist] = [y * this.gridW + x, dist];
+      }
+    }
+    return best;
+  }
+
   /** Mark cells for brief highlight. */
   flashCells(indices, colour, frames = 6) {
     for (const idx of indices) {
@@ -72,85 +179,757 @@ export class Renderer {
     }
   }
 
-  /** Draw the entire grid given a WFCGrid. */
-  draw(grid) {
+  /**
+   * Draw the grid given a WFCGrid.  With `cells`, only those cells (plus any
+   * that are highlighted or fading) are repainted – much cheaper on big grids.
+   *
+   * @param {WFCGrid} grid
+   * @param {Iterable<number>} [cells]
+   */
+  draw(grid, cells) {
     const ctx = this.ctx;
-    const w = this.canvas.width;
-    const h = this.canvas.height;
 
-    ctx.fillStyle = "#18181b";
-    ctx.fillRect(0, 0, w, h);
+    if (!cells) {
+      ctx.fillStyle = "#18181b";
+      ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      this._fading.clear();
+      for (let idx = 0; idx < grid.size; idx++) this._drawCell(grid, idx, false);
+      return;
+    }
+
+    const todo = new Set(cells);
+    // Relief depends on the neighbours, so theirs changes too
+    if (this.shading !== "none") {
+      for (const idx of [...todo]) {
+        for (let d = 0; d < this._sideDirs.length; d++) {
+          const nb = grid.neighbour(idx, d);
+          if (nb >= 0) todo.add(nb);
+        }
+      }
+    }
+    for (const idx of this.highlights.keys()) todo.add(idx);
+    for (const idx of this._fading) todo.add(idx);
+    this._fading.clear();
+    for (const idx of todo) this._drawCell(grid, idx, true);
+  }
+
+  /**
+   * A cell's fill: its tile's colour, or for a superposed cell a shade
+   * from its entropy, tinted by paint, trace and highlight.  Counts down
+   * the cell's highlight, so call it once per cell per frame.
+   * Returns `{ tile, bg, traced }`, `traced` being the trace colour or null.
+   */
+  _cellFill(grid, idx) {
+    const tile = grid.getTile(idx);
+    let bg;
+
+    if (tile) {
+      bg = tileColour(this.ruleset, tile);
+      if (this.shading === "hillshade" || this.shading === "both") bg = this._hillshade(grid, idx, tile.z, bg);
+    } else {
+      // Superposition – shade by entropy
+      const frac = Math.min(grid.getEntropy(idx) / 20, 1);
+      bg = lerpColour("#312e81", SUPERPOSITION_BG, frac);
 
+      // Painted but not yet collapsed – tint toward the painted terrain
+      const painted = grid.constraints.get(idx);
+      if (painted) {
+        bg = lerpColour(bg, tileColour(this.ruleset, this.ruleset.tiles[painted[0]]), 0.35);
+      }
+    }
+
+    // Cells of an explained contradiction keep a tint (and, if big enough, an outline)
+    const traced = !this.trace ? null
+      : idx === this.trace.focus ? TRACE_FOCUS
+      : this.trace.cells.has(idx) ? TRACE_CELL : null;
+    if (traced) bg = blendColour(bg, traced, 0.35);
+    if (this.selection?.has(idx)) bg = blendColour(bg, SELECTION, 0.45);
+
+    // Apply highlight overlay
+    const hl = this.highlights.get(idx);
+    if (hl) {
+      const alpha = hl.frames / 8;
+      bg = blendColour(bg, hl.colour, alpha * 0.55);
+      hl.frames--;
+      if (hl.frames <= 0) {
+        this.highlights.delete(idx);
+        this._fading.add(idx);
+      }
+    }
+
+    return { tile, bg, traced };
+  }
+
+  _drawCell(grid, idx, clear) {
+    const ctx = this.ctx;
     const step = this.cellPx + this.gap;
+    const x = idx % this.gridW;
+    const y = Math.floor(idx / this.gridW);
+    let px = this.gap + x * step;
+    let py = this.gap + y * step;
+    const detail = this.cellPx >= MIN_DETAIL_SIZE;
 
-    for (let y = 0; y < this.gridH; y++) {
-      for (let x = 0; x < this.gridW; x++) {
-        const idx = y * this.gridW + x;
-        const px = this.gap + x * step;
-        const py = this.gap + y * step;
-
-        const tile = grid.getTile(idx);
-        let bg;
-        let icon = null;
-        let label = null;
-
-        if (tile) {
-          const key = tile.terrain === "ground" ? `ground${tile.z}` : tile.terrain;
-          const palette = TERRAIN_COLOURS[key] || TERRAIN_COLOURS[tile.terrain] || TERRAIN_COLOURS.ground0;
-          // Darken based on mountain elevation
-          if (tile.terrain === "mountain") {
-            const frac = (tile.z - 6) / 4;  // z=6→0, z=10→1
-            bg = lerpColour(palette.base, "#d6d3d1", frac * 0.6);
-          } else {
-            bg = palette.base;
-          }
-          icon = TERRAIN_ICON[tile.terrain];
-          label = `z${tile.z}`;
-        } else {
-          // Superposition – show entropy
-          const entropy = grid.getEntropy(idx);
-          const frac = Math.min(entropy / 20, 1);
-          bg = lerpColour("#312e81", SUPERPOSITION_BG, frac);
-          label = `${entropy}`;
-        }
+    // Hex cells: (px, py) is the square in the middle of the hexagon,
+    // where the icon and label go
+    let centre = null;
+    if (this.hex) {
+      centre = this._hexCentre(x, y);
+      px = centre[0] - this.cellPx / 2;
+      py = centre[1] - this.cellPx / 2;
+    }
 
-        // Apply highlight overlay
-        const hl = this.highlights.get(idx);
-        if (hl) {
-          const alpha = hl.frames / 8;
-          bg = blendColour(bg, hl.colour, alpha * 0.55);
-          hl.frames--;
-          if (hl.frames <= 0) this.highlights.delete(idx);
-        }
+    const { tile, bg, traced } = this._cellFill(grid, idx);
+    // Roads and rivers show as their channel rather than an icon
+    const icon = tile && !tile.links ? this.ruleset.terrains.get(tile.terrain).icon || null : null;
+    const label = tile ? `z${tile.z}` : `${grid.getEntropy(idx)}`;
 
-        // Draw cell background
-        ctx.fillStyle = bg;
+    // Draw cell background
+    if (centre) {
+      const radius = this.cellPx / Math.sqrt(3);
+      if (clear) {
+        ctx.fillStyle = "#18181b";
+        hexPath(ctx, ...centre, (this.cellPx + this.gap) / Math.sqrt(3));
+        ctx.fill();
+      }
+      ctx.fillStyle = bg;
+      hexPath(ctx, ...centre, radius);
+      ctx.fill();
+      if (grid.constraints.has(idx) && this.cellPx >= 6) {
+        ctx.strokeStyle = "rgba(255,255,255,0.7)";
+        ctx.lineWidth = 1.5;
+        hexPath(ctx, ...centre, radius - 1.5);
+        ctx.stroke();
+      }
+      if (traced && this.cellPx >= 6) {
+        ctx.strokeStyle = traced;
+        ctx.lineWidth = 2.5;
+        hexPath(ctx, ...centre, radius - 2);
+        ctx.stroke();
+      }
+    } else {
+      if (clear) {
+        ctx.fillStyle = "#18181b";
+        ctx.fillRect(px, py, this.cellPx, this.cellPx);
+      }
+      ctx.fillStyle = bg;
+      if (this.cellPx >= 8) {
         roundRect(ctx, px, py, this.cellPx, this.cellPx, 3);
         ctx.fill();
+      } else {
+        ctx.fillRect(px, py, this.cellPx, this.cellPx);
+      }
+
+      // Outline painted (locked) cells
+      if (grid.constraints.has(idx) && this.cellPx >= 6) {
+        ctx.strokeStyle = "rgba(255,255,255,0.7)";
+        ctx.lineWidth = 1.5;
+        roundRect(ctx, px + 1, py + 1, this.cellPx - 2, this.cellPx - 2, 3);
+        ctx.stroke();
+      }
+      if (traced && this.cellPx >= 6) {
+        ctx.strokeStyle = traced;
+        ctx.lineWidth = 2.5;
+        roundRect(ctx, px + 1.5, py + 1.5, this.cellPx - 3, this.cellPx - 3, 3);
+        ctx.stroke();
+      }
+    }
+
+    if (tile && (this.shading === "contours" || this.shading === "both") && this.cellPx >= 4) {
+      this._drawContours(grid, idx, tile.z, px, py);
+    }
+
+    if (tile?.links && this.cellPx >= 6) this._drawChannel(tile, px, py);
+
+    if (!detail) return;
 
-        // Draw icon
-        if (icon) {
-          ctx.font = `${this.cellPx * 0.48}px serif`;
-          ctx.textAlign = "center";
-          ctx.textBaseline = "middle";
-          ctx.fillText(icon, px + this.cellPx / 2, py + this.cellPx * 0.42);
+    if (!tile && this.showOptions) {
+      this._drawSwatches(grid, idx, px, py);
+      return;
+    }
+
+    // Draw icon
+    if (icon) {
+      ctx.font = `${this.cellPx * 0.48}px serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(icon, px + this.cellPx / 2, py + this.cellPx * 0.42);
+    }
+
+    // Draw label
+    if (label) {
+      ctx.font = `bold ${this.cellPx * 0.25}px "Inter", system-ui, sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "bottom";
+      ctx.fillStyle = tile ? "rgba(255,255,255,0.75)" : "rgba(255,255,255,0.3)";
+      ctx.fillText(label, px + this.cellPx / 2, py + this.cellPx - 2);
+    }
+  }
+
+  /**
+   * `colour` lit or shaded by the slope under a cell at height `z`: the z
+   * gradient towards its collapsed neighbours, against the light.
+   */
+  _hillshade(grid, idx, z, colour) {
+    let gx = 0, gy = 0, k = 0;
+    this._sideDirs.forEach(([dx, dy], d) => {
+      const nb = grid.neighbour(idx, d);
+      const tile = nb >= 0 ? grid.getTile(nb) : null;
+      if (!tile) return;
+      gx += (tile.z - z) * dx;
+      gy += (tile.z - z) * dy;
+      k++;
+    });
+    if (k === 0) return colour;
+    // Land rising towards the light faces away from it
+    const lit = -(gx * LIGHT[0] + gy * LIGHT[1]) * 2 / k;
+    const amount = Math.max(-HILLSHADE_MAX, Math.min(HILLSHADE_MAX, lit * HILLSHADE));
+    return amount >= 0 ? lerpColour(colour, "#ffffff", amount) : lerpColour(colour, "#000000", -amount);
+  }
+
+  /**
+   * A line along each side where the land steps down to a neighbour,
+   * darker the bigger the step.  The higher cell draws it, inside its own
+   * square at (px, py), so repainting the lower one leaves it be.
+   */
+  _drawContours(grid, idx, z, px, py) {
+    const ctx = this.ctx;
+    const half = this.cellPx / 2;
+    const inset = half - 0.75;
+    // Half a side: half the cell for a square, half the radius for a hexagon
+    const along = this.hex ? this.cellPx / (2 * Math.sqrt(3)) : half;
+    ctx.lineWidth = 1.5;
+    this._sideDirs.forEach(([dx, dy], d) => {
+      const nb = grid.neighbour(idx, d);
+      const tile = nb >= 0 ? grid.getTile(nb) : null;
+      if (!tile || tile.z >= z) return;
+      const mx = px + half + dx * inset;
+      const my = py + half + dy * inset;
+      ctx.strokeStyle = `rgba(0,0,0,${Math.min(0.2 + 0.15 * (z - tile.z), 0.65)})`;
+      ctx.beginPath();
+      ctx.moveTo(mx - dy * along, my + dx * along);
+      ctx.lineTo(mx + dy * along, my - dx * along);
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * A linked tile's channel: a line from the middle of the square at
+   * (px, py) out to each side it links, which meets the neighbour's.
+   */
+  _drawChannel(tile, px, py) {
+    const ctx = this.ctx;
+    const half = this.cellPx / 2;
+    const [cx, cy] = [px + half, py + half];
+    ctx.strokeStyle = this.ruleset.terrains.get(tile.terrain).links?.colour ?? "rgba(0,0,0,0.45)";
+    ctx.lineWidth = Math.max(1.5, this.cellPx * 0.22);
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    for (const d of tile.links) {
+      const [dx, dy] = this._sideDirs[d];
+      ctx.moveTo(cx, cy);
+      ctx.lineTo(cx + dx * half, cy + dy * half);
+    }
+    ctx.stroke();
+    ctx.lineCap = "butt";
+  }
+
+  /**
+   * A superposed cell's options as small squares, one per colour, the
+   * likeliest first; the last square is left grey when there are more
+   * colours than fit.  Drawn inside the square at (px, py).
+   */
+  _drawSwatches(grid, idx, px, py) {
+    const weights = this.ruleset.weights;
+    const byColour = new Map();
+    for (const t of grid.getOptions(idx)) {
+      const colour = this._colours[t];
+      byColour.set(colour, (byColour.get(colour) || 0) + weights[t]);
+    }
+    const colours = [...byColour].sort((a, b) => b[1] - a[1]).map(([colour]) => colour);
+    if (colours.length > MAX_SWATCHES) colours.splice(MAX_SWATCHES - 1, Infinity, MORE_OPTIONS);
+
+    // Hexagons only have room for the middle of the square
+    const box = this.hex ? this.cellPx * 0.6 : this.cellPx - 4;
+    const k = Math.ceil(Math.sqrt(colours.length));
+    const size = box / k;
+    const left = px + (this.cellPx - box) / 2;
+    const top = py + (this.cellPx - box) / 2;
+    const ctx = this.ctx;
+    colours.forEach((colour, i) => {
+      ctx.fillStyle = colour;
+      ctx.fillRect(left + (i % k) * size + 0.5, top + Math.floor(i / k) * size + 0.5, size - 1, size - 1);
+    });
+  }
+}
+
+// ── Isometric view ──────────────────────────────────────────────────────────
+
+const ISO_Z = 0.18;             // height of one z level, in cell widths
+const ISO_PAD = 8;              // canvas margin around the map, px
+const HOUSE_PLOT = "#8a8468";   // ground a house sprite stands on
+const HOUSE_ROOF = "#b91c1c";
+
+/**
+ * 2.5D view of a grid: every cell is a block raised by its tile's z, seen
+ * from beyond its bottom-right corner, so rows run down to the left and
+ * columns down to the right.  Terrains with `shape: "flat"` (water) lie
+ * flat at their level and `shape: "house"` terrains stand as a small house
+ * on a plot; undecided cells lie flat at the lowest level.
+ *
+ * Blocks are painted back to front, so nearer blocks cover the ones behind
+ * them, and `hitTest` looks front to back at the outline each block was
+ * drawn with – pointing at the side of a tall block picks that block.  A
+ * block can cover its neighbours, so every draw repaints the whole grid.
+ * Highlights, traces and paint outlines work as in the flat view; option
+ * swatches (`showOptions`) are flat-view only.
+ */
+export class IsoRenderer extends Renderer {
+  /** Same arguments as Renderer. */
+  constructor(canvas, gridW, gridH, ruleset, topology = DEFAULT_TOPOLOGY) {
+    super(canvas, gridW, gridH, ruleset, topology);
+
+    // Footprint corners around a cell centre, in cell widths, clockwise
+    const r = 1 / Math.sqrt(3);
+    this.footprint = this.hex
+      ? Array.from({ length: 6 }, (_, k) => {
+          const a = Math.PI / 3 * k - Math.PI / 2;
+          return [r * Math.cos(a), r * Math.sin(a)];
+        })
+      : [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]];
+
+    // Side faces turned towards the viewer, darker the more they face right
+    this.faces = [];
+    this.footprint.forEach((a, k) => {
+      const b = this.footprint[(k + 1) % this.footprint.length];
+      const [nu, nv] = [b[1] - a[1], a[0] - b[0]];
+      const len = Math.hypot(nu, nv);
+      if (nu + nv > 1e-9) this.faces.push({ a, b, shade: 0.3 + 0.15 * (nu - nv) / len });
+    });
+
+    const zs = ruleset.tiles.map(t => t.z);
+    this.zMin = Math.min(...zs);
+    const maxHeight = (Math.max(...zs) - this.zMin + 1) * ISO_Z;
+    this.maxHeight = maxHeight;
+
+    // Fit the map's diamond (plus the tallest block) into the canvas box
+    const [spanW, spanH] = this.hex ? [gridW + 0.5, (gridH - 1) * HEX_ROW + HEX_HEIGHT] : [gridW, gridH];
+    const span = spanW + spanH;
+    this.isoPx = Math.min(CELL_SIZE, (MAX_CANVAS_W - 2 * ISO_PAD) / span, (MAX_CANVAS_H - 2 * ISO_PAD) / (span / 2 + maxHeight));
+    canvas.width = Math.ceil(span * this.isoPx) + 2 * ISO_PAD;
+    canvas.height = Math.ceil((span / 2 + maxHeight) * this.isoPx) + 2 * ISO_PAD;
+    this.originX = ISO_PAD + spanH * this.isoPx;
+    this.originY = ISO_PAD + maxHeight * this.isoPx;
+
+    // Cell centres, and the order to paint them in: back (small u + v) first
+    const size = gridW * gridH;
+    this.centres = new Float64Array(size * 2);
+    for (let idx = 0; idx < size; idx++) {
+      const [u, v] = this.topology.centre(idx % gridW, Math.floor(idx / gridW));
+      this.centres[idx * 2] = u;
+      this.centres[idx * 2 + 1] = v;
+    }
+    const depth = idx => this.centres[idx * 2] + this.centres[idx * 2 + 1];
+    this.order = Int32Array.from({ length: size }, (_, i) => i)
+      .sort((a, b) => depth(a) - depth(b) || this.centres[a * 2] - this.centres[b * 2]);
+
+    /** Height each cell was last drawn at, for hitTest. */
+    this.heights = new Float32Array(size);
+  }
+
+  /** Screen position of layout point (u, v) at height h (all in cell widths). */
+  _project(u, v, h) {
+    const s = this.isoPx;
+    return [this.originX + (u - v) * s, this.originY + ((u + v) / 2 - h) * s];
+  }
+
+  /** How high a tile's block stands, in cell widths. */
+  _height(tile) {
+    const shape = this.ruleset.terrains.get(tile.terrain).shape;
+    return (tile.z - this.zMin + (shape === "flat" ? 0 : 1)) * ISO_Z;
+  }
+
+  /** Cell whose footprint holds layout point (u, v), or -1. */
+  _cellAtLayout(u, v) {
+    if (!this.hex) {
+      const [x, y] = [Math.floor(u), Math.floor(v)];
+      return x < 0 || y < 0 || x >= this.gridW || y >= this.gridH ? -1 : y * this.gridW + x;
+    }
+    const row = Math.floor(v / HEX_ROW);
+    let best = -1, bestDist = 1 / Math.sqrt(3);
+    for (let y = row - 1; y <= row + 1; y++) {
+      if (y < 0 || y >= this.gridH) continue;
+      const col = Math.floor(u - (y & 1) / 2);
+      for (let x = col - 1; x <= col + 1; x++) {
+        if (x < 0 || x >= this.gridW) continue;
+        const [cu, cv] = this.topology.centre(x, y);
+        const dist = Math.hypot(u - cu, v - cv);
+        if (dist < bestDist) [best, bestDist] = [y * this.gridW + x, dist];
+      }
+    }
+    return best;
+  }
+
+  hitTest(px, py) {
+    // Whatever block covers the point has its footprint under the point
+    // seen from some height between the ground and the tallest block
+    const s = this.isoPx;
+    const a = (px - this.originX) / s;
+    const candidates = new Set();
+    for (let h = 0; h <= this.maxHeight + ISO_Z; h += ISO_Z / 4) {
+      const b = 2 * ((py - this.originY) / s + h);
+      const idx = this._cellAtLayout((a + b) / 2, (b - a) / 2);
+      if (idx < 0) continue;
+      const [x, y] = [idx % this.gridW, Math.floor(idx / this.gridW)];
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (x + dx >= 0 && y + dy >= 0 && x + dx < this.gridW && y + dy < this.gridH) {
+            candidates.add((y + dy) * this.gridW + x + dx);
+          }
         }
+      }
+    }
+
+    const depth = idx => this.centres[idx * 2] + this.centres[idx * 2 + 1];
+    const front = [...candidates].sort((i, j) => depth(j) - depth(i) || this.centres[j * 2] - this.centres[i * 2]);
+    for (const idx of front) {
+      if (this._outline(idx).some(polygon => insidePolygon(polygon, px, py))) return idx;
+    }
+    return -1;
+  }
+
+  /** The polygons a cell's block is drawn with: visible sides, then top. */
+  _outline(idx) {
+    const [cu, cv] = [this.centres[idx * 2], this.centres[idx * 2 + 1]];
+    const h = this.heights[idx];
+    const at = ([du, dv], z) => this._project(cu + du, cv + dv, z);
+    const polygons = h > 0 ? this.faces.map(({ a, b }) => [at(a, 0), at(b, 0), at(b, h), at(a, h)]) : [];
+    polygons.push(this.footprint.map(c => at(c, h)));
+    return polygons;
+  }
+
+  draw(grid, cells) {
+    // Nothing changed and nothing fading: the picture stands
+    if (cells && this.highlights.size === 0 && this._fading.size === 0 && isEmpty(cells)) return;
+
+    const ctx = this.ctx;
+    ctx.fillStyle = "#18181b";
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this._fading.clear();
+    for (const idx of this.order) this._drawBlock(grid, idx);
+  }
+
+  _drawBlock(grid, idx) {
+    const ctx = this.ctx;
+    const { tile, bg, traced } = this._cellFill(grid, idx);
+    const shape = tile ? this.ruleset.terrains.get(tile.terrain).shape : null;
+    const colour = shape === "house" ? lerpColour(bg, HOUSE_PLOT, 0.7) : bg;
+    this.heights[idx] = tile ? this._height(tile) : 0;
+
+    const polygons = this._outline(idx);
+    const top = polygons.pop();
+    this.faces.forEach(({ shade }, k) => {
+      if (!polygons[k]) return;
+      ctx.fillStyle = lerpColour(colour, "#000000", shade);
+      fillPolygon(ctx, polygons[k]);
+    });
+    ctx.fillStyle = colour;
+    fillPolygon(ctx, top);
+
+    // Edges keep neighbouring blocks of one colour apart
+    if (this.isoPx >= 8) {
+      ctx.strokeStyle = "rgba(0,0,0,0.18)";
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+    if (grid.constraints.has(idx) && this.isoPx >= 6) {
+      ctx.strokeStyle = "rgba(255,255,255,0.7)";
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+    if (traced && this.isoPx >= 6) {
+      ctx.strokeStyle = traced;
+      ctx.lineWidth = 2.5;
+      ctx.stroke();
+    }
+
+    if (shape === "house" && this.isoPx >= 8) {
+      this._drawHouse(this.centres[idx * 2], this.centres[idx * 2 + 1], this.heights[idx], bg);
+    }
+  }
+
+  /** A little house – walls and a hipped roof – standing at (u, v, h). */
+  _drawHouse(u, v, h, colour) {
+    const ctx = this.ctx;
+    const [a, wall, roof] = [0.22, 0.26, 0.24];
+    const p = (du, dv, z) => this._project(u + du, v + dv, h + z);
+    const apex = p(0, 0, wall + roof);
+
+    // Front walls: the one facing down-left, then down-right
+    ctx.fillStyle = lerpColour(colour, "#000000", 0.15);
+    fillPolygon(ctx, [p(-a, a, 0), p(a, a, 0), p(a, a, wall), p(-a, a, wall)]);
+    ctx.fillStyle = lerpColour(colour, "#000000", 0.45);
+    fillPolygon(ctx, [p(a, -a, 0), p(a, a, 0), p(a, a, wall), p(a, -a, wall)]);
+
+    // Roof, back slopes first
+    const eaves = [p(-a, -a, wall), p(a, -a, wall), p(a, a, wall), p(-a, a, wall)];
+    const slopes = [[0, 1, 0.2], [3, 0, 0.1], [1, 2, 0.45], [2, 3, 0.25]];
+    for (const [i, j, shade] of slopes) {
+      ctx.fillStyle = lerpColour(HOUSE_ROOF, "#000000", shade);
+      fillPolygon(ctx, [eaves[i], eaves[j], apex]);
+    }
+  }
+}
+
+// ── Tile preview ────────────────────────────────────────────────────────────
+
+const PREVIEW_MAX_W = 480;
+const PREVIEW_MAX_H = 360;
+
+/**
+ * Small flat-colour view of the map repeated 3 × 3, to check that a
+ * wrapped map tiles without seams.  Hex maps are drawn as rows of bricks,
+ * odd rows shifted half a cell like the hexagons.
+ */
+export class TilePreview {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} gridW
+   * @param {number} gridH
+   * @param {object} ruleset
+   * @param {string} [topology="square"]
+   */
+  constructor(canvas, gridW, gridH, ruleset, topology = DEFAULT_TOPOLOGY) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.gridW = gridW;
+    this.gridH = gridH;
+    this.hex = getTopology(topology).id === "hex";
+    this.cellPx = Math.max(1, Math.floor(Math.min(PREVIEW_MAX_W / (gridW * 3 + (this.hex ? 0.5 : 0)), PREVIEW_MAX_H / (gridH * 3))));
+    canvas.width = gridW * 3 * this.cellPx + (this.hex ? Math.ceil(this.cellPx / 2) : 0);
+    canvas.height = gridH * 3 * this.cellPx;
+    this.colours = ruleset.tiles.map(tile => tileColour(ruleset, tile));
+  }
+
+  /**
+   * Paint every cell, or only `cells`, into all nine copies.
+   * @param {WFCGrid} grid
+   * @param {Iterable<number>} [cells]
+   */
+  draw(grid, cells) {
+    const { ctx, cellPx, gridW, gridH } = this;
+    const tileW = gridW * cellPx, tileH = gridH * cellPx;
+    const paint = idx => {
+      const t = grid.collapsed[idx];
+      ctx.fillStyle = t === -1 ? SUPERPOSITION_BG : this.colours[t];
+      const row = Math.floor(idx / gridW);
+      const x = (idx % gridW + (this.hex ? (row & 1) / 2 : 0)) * cellPx, y = row * cellPx;
+      for (let ty = 0; ty < 3; ty++) {
+        for (let tx = 0; tx < 3; tx++) ctx.fillRect(x + tx * tileW, y + ty * tileH, cellPx, cellPx);
+      }
+    };
+    if (cells) {
+      for (const idx of cells) paint(idx);
+    } else {
+      for (let idx = 0; idx < grid.size; idx++) paint(idx);
+    }
+  }
+}
 
-        // Draw label
-        if (label) {
-          ctx.font = `bold ${this.cellPx * 0.25}px "Inter", system-ui, sans-serif`;
-          ctx.textAlign = "center";
-          ctx.textBaseline = "bottom";
-          ctx.fillStyle = tile ? "rgba(255,255,255,0.75)" : "rgba(255,255,255,0.3)";
-          ctx.fillText(label, px + this.cellPx / 2, py + this.cellPx - 2);
+// ── Compatibility heatmap ───────────────────────────────────────────────────
+
+const HEATMAP_MAX = 360;
+const HEATMAP_STRIP = 6;            // tile colour strips along the top and left
+const HEAT_NONE = "#18181b";
+const HEAT_LOW = "#312e81";
+const HEAT_HIGH = "#a5b4fc";
+const HEAT_ASYMMETRIC = "#f97316";
+const HEAT_DEAD = "#ef4444";
+
+/**
+ * The rule analyser's compatibility matrix (see analyser.js): row a,
+ * column b gets brighter the more sides b may sit on next to a.  Pairs only
+ * one tile's rules allow are orange, and dead tiles' rows and columns are
+ * tinted red.
+ */
+export class CompatibilityHeatmap {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} ruleset
+   * @param {object} analysis – `analyseRuleset` result for the ruleset
+   */
+  constructor(canvas, ruleset, analysis) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.ruleset = ruleset;
+    this.analysis = analysis;
+    this.n = ruleset.tiles.length;
+    this.cellPx = Math.max(1, Math.floor(HEATMAP_MAX / this.n));
+    canvas.width = canvas.height = HEATMAP_STRIP + this.n * this.cellPx;
+  }
+
+  /** [a, b] for the matrix cell under canvas pixel (px, py), or null. */
+  hitTest(px, py) {
+    const a = Math.floor((py - HEATMAP_STRIP) / this.cellPx);
+    const b = Math.floor((px - HEATMAP_STRIP) / this.cellPx);
+    return a >= 0 && b >= 0 && a < this.n && b < this.n ? [a, b] : null;
+  }
+
+  draw() {
+    const { ctx, ruleset, n, cellPx } = this;
+    const { matrix, asymmetric, dead, topology } = this.analysis;
+    const sides = topology.vectors.length;
+
+    // One colour per matrix cell, written straight into the pixels: learned
+    // rulesets can have a thousand tiles
+    const asym = new Set(asymmetric.map(({ a, b }) => a * n + b));
+    const deadTiles = new Set(dead.map(d => d.tile));
+    const heat = Array.from({ length: sides + 1 }, (_, v) => parseHex(v ? lerpColour(HEAT_LOW, HEAT_HIGH, (v - 1) / Math.max(1, sides - 1)) : HEAT_NONE));
+    const [orange, red] = [parseHex(HEAT_ASYMMETRIC), parseHex(HEAT_DEAD)];
+    const size = n * cellPx;
+    const image = ctx.createImageData(size, size);
+    for (let a = 0; a < n; a++) {
+      for (let b = 0; b < n; b++) {
+        let rgb = asym.has(a * n + b) ? orange : heat[matrix[a * n + b]];
+        if (deadTiles.has(a) || deadTiles.has(b)) rgb = rgb.map((c, k) => (c + red[k]) / 2);
+        for (let dy = 0; dy < cellPx; dy++) {
+          for (let dx = 0; dx < cellPx; dx++) {
+            const o = ((a * cellPx + dy) * size + b * cellPx + dx) * 4;
+            image.data.set(rgb, o);
+            image.data[o + 3] = 255;
+          }
+        }
+      }
+    }
+    ctx.fillStyle = HEAT_NONE;
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.putImageData(image, HEATMAP_STRIP, HEATMAP_STRIP);
+
+    ruleset.tiles.forEach((tile, t) => {
+      ctx.fillStyle = tileColour(ruleset, tile);
+      ctx.fillRect(HEATMAP_STRIP + t * cellPx, 0, cellPx, HEATMAP_STRIP - 1);
+      ctx.fillRect(0, HEATMAP_STRIP + t * cellPx, HEATMAP_STRIP - 1, cellPx);
+    });
+  }
+}
+
+// ── World view ──────────────────────────────────────────────────────────────
+
+/**
+ * Scrolling view over an infinite chunked world (see world.js).  Each
+ * chunk is painted once into a 1-pixel-per-cell bitmap, which is then
+ * scaled onto the canvas, so panning costs one drawImage per visible chunk.
+ */
+export class WorldRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} ruleset
+   * @param {number} chunkSize
+   */
+  constructor(canvas, ruleset, chunkSize) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.chunkSize = chunkSize;
+    this.colours = ruleset.tiles.map(tile => parseHex(tileColour(ruleset, tile)));
+
+    /** Draw faint lines along chunk boundaries. */
+    this.showBorders = false;
+
+    this._bitmaps = new WeakMap();   // chunk → canvas
+  }
+
+  /**
+   * Draw the view whose top-left corner is world cell (x, y) – fractional
+   * values scroll smoothly – at `cellPx` pixels per cell.  `chunkAt(cx, cy)`
+   * returns a chunk, or null while it is still being generated.
+   */
+  draw(x, y, cellPx, chunkAt) {
+    const { ctx, canvas, chunkSize: S } = this;
+    ctx.fillStyle = "#18181b";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingEnabled = false;
+
+    const chunkPx = S * cellPx;
+    const [cx0, cy0] = [Math.floor(x / S), Math.floor(y / S)];
+    const [cx1, cy1] = [Math.floor((x + canvas.width / cellPx) / S), Math.floor((y + canvas.height / cellPx) / S)];
+    for (let cy = cy0; cy <= cy1; cy++) {
+      for (let cx = cx0; cx <= cx1; cx++) {
+        const px = Math.round((cx * S - x) * cellPx);
+        const py = Math.round((cy * S - y) * cellPx);
+        const chunk = chunkAt(cx, cy);
+        if (chunk) {
+          ctx.drawImage(this._bitmap(chunk), px, py, chunkPx, chunkPx);
+        } else {
+          ctx.fillStyle = SUPERPOSITION_BG;
+          ctx.fillRect(px, py, chunkPx, chunkPx);
+        }
+        if (this.showBorders) {
+          ctx.strokeStyle = "rgba(255,255,255,0.25)";
+          ctx.lineWidth = 1;
+          ctx.strokeRect(px + 0.5, py + 0.5, chunkPx, chunkPx);
         }
       }
     }
   }
+
+  _bitmap(chunk) {
+    let bitmap = this._bitmaps.get(chunk);
+    if (bitmap) return bitmap;
+
+    const S = this.chunkSize;
+    bitmap = document.createElement("canvas");
+    bitmap.width = bitmap.height = S;
+    const ctx = bitmap.getContext("2d");
+    const image = ctx.createImageData(S, S);
+    const unresolved = parseHex(SUPERPOSITION_BG);
+    chunk.tiles.forEach((t, i) => {
+      image.data.set(t === -1 ? unresolved : this.colours[t], i * 4);
+      image.data[i * 4 + 3] = 255;
+    });
+    ctx.putImageData(image, 0, 0);
+    this._bitmaps.set(chunk, bitmap);
+    return bitmap;
+  }
 }
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
+/** Fill a polygon given as [[x, y], …]; leaves it as the current path. */
+function fillPolygon(ctx, points) {
+  ctx.beginPath();
+  for (const [x, y] of points) ctx.lineTo(x, y);
+  ctx.closePath();
+  ctx.fill();
+}
+
+/** Is (x, y) inside the convex polygon [[x, y], …]? */
+function insidePolygon(points, x, y) {
+  let sign = 0;
+  for (let k = 0; k < points.length; k++) {
+    const [x0, y0] = points[k];
+    const [x1, y1] = points[(k + 1) % points.length];
+    const cross = (x1 - x0) * (y - y0) - (y1 - y0) * (x - x0);
+    if (cross === 0) continue;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
+
+function isEmpty(iterable) {
+  for (const _ of iterable) return false;
+  return true;
+}
+
+/** Pointy-top hexagon around (cx, cy) with circumradius r. */
+function hexPath(ctx, cx, cy, r) {
+  ctx.beginPath();
+  for (let k = 0; k < 6; k++) {
+    const a = Math.PI / 3 * k - Math.PI / 2;
+    ctx.lineTo(cx + r * Math.cos(a), cy + r * Math.sin(a));
+  }
+  ctx.closePath();
+}
+
 function roundRect(ctx, x, y, w, h, r) {
   ctx.beginPath();
   ctx.moveTo(x + r, y);
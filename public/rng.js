@@ -0,0 +1,53 @@
+/**
+ * rng.js – Small seedable pseudo-random number generator.
+ *
+ * `Math.random()` can't be seeded, so every random decision in the engine
+ * goes through one of these instead.  Same seed → same sequence → same map.
+ */
+
+/**
+ * Normalise a user-supplied seed to an unsigned 32-bit integer.
+ * Numeric strings are used as-is; any other text is hashed (FNV-1a) so that
+ * seeds like "coastline" work too.
+ *
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function normaliseSeed(seed) {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) return Number(BigInt(text) & 0xffffffffn);
+
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** A fresh random seed, for when the user doesn't pick one. */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * mulberry32 – fast, decent-quality 32-bit PRNG.
+ * Returns a function with the same contract as `Math.random()`.  Its
+ * internal state is exposed via `random.getState()` so a saved grid can pick
+ * up the sequence exactly where it stopped (pass it back as `state`).
+ *
+ * @param {number|string} seed
+ * @param {number} [state] – resume from a `getState()` value instead
+ * @returns {(() => number) & { getState: () => number }}
+ */
+export function createRng(seed, state = normaliseSeed(seed)) {
+  state |= 0;
+  function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  random.getState = () => state >>> 0;
+  return random;
+}
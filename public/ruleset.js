@@ -0,0 +1,396 @@
+/**
+ * ruleset.js – Turns a JSON ruleset into the tables the WFC engine needs.
+ *
+ * A ruleset declares terrains; each terrain expands to one tile per z level
+ * in its `z` range.  Shape (see rulesets/default.json):
+ *
+ *   {
+ *     id, name,
+ *     maxSlope: n,                               // optional default for every terrain
+ *     terrains: [{
+ *       id, label, z: [min, max],
+ *       weight:  number | { base, perZ },        // collapse weight per tile
+ *       colour:  "#hex" | ["#hex", …],           // single, or one per z level
+ *       shade:   { to: "#hex", amount },         // optional lerp across z range
+ *       icon,
+ *       ascii: "~",                              // one-character glyph for text output
+ *       shape:   "block" | "flat" | "house",     // isometric look: a block raised by z
+ *                                                //   (default), a flat surface (water) or
+ *                                                //   a house standing on a plot
+ *       uniformNeighbours: bool,                 // all 8 neighbours must share a terrain
+ *       maxSlope: n,                             // optional: largest |Δz| to a side neighbour
+ *       adjacency: [{ terrain?, z?, selfZ? }],   // which cardinal neighbours are allowed
+ *       links:   { channel, count: [min, max],   // optional: roads, rivers (see below)
+ *                  flow?, colour? },
+ *       accepts: [channel, …]                    // channels that may end against it (a
+ *                                                //   house's ring may have them at its door)
+ *     }],
+ *     legend: [{ label, terrain, z }],
+ *     constraints: [{ type, terrain, … }]        // optional global constraints (see constraints.js)
+ *   }
+ *
+ * An adjacency rule matches neighbour tile B when B's terrain is in `terrain`
+ * (string or array; omitted = any), B's z is within `z`, and this tile's own
+ * z is within `selfZ`.  A pair is compatible when any rule matches.  The
+ * engine only lets two tiles touch when *both* tiles' rules allow it
+ * (`compatible`), so the result never depends on which one collapsed first.
+ * `maxSlope` limits every rule on top of that: a tile refuses neighbours
+ * more than that many z levels above or below it, so with both terrains'
+ * limits in play a pair is held to the smaller one.  Small limits give
+ * smooth elevation – coasts that ramp up to highlands and on to peaks –
+ * instead of heights that jump about from cell to cell.
+ *
+ * A terrain with `links` carries a channel – a road, a river – from cell to
+ * cell.  It gets one tile per z level and set of sides the channel leaves
+ * by, with `count` of them (default 1 to every side), and its weight is
+ * shared among them.  Across any side a channel must meet the same channel,
+ * or end against a terrain that `accepts` it, and a side without one must
+ * not face a channel either.  Where a channel joins, adjacency rules don't
+ * apply – only both terrains' slopes – so a river needn't list itself, and
+ * only touches the sea where it flows in.  With `flow` the channel runs one
+ * way: each tile has one downstream side, `out`, the others lead in, and
+ * downstream never climbs – so a river runs downhill until it reaches what
+ * accepts it, such as the sea.  Which sides are which depends on the grid
+ * shape, so such a ruleset names its `topology`.  `colour` is what the page
+ * draws the channel in.
+ *
+ * Rulesets learned from an example map (see sample.js) list their tiles and
+ * neighbour pairs explicitly instead:
+ *
+ *   topology:   "square" | "hex"                 // the grid shape they were learned on
+ *   tiles:      [{ terrain, z, weight }, …]      // several may share terrain:z
+ *   neighbours: { x: [[a, b], …],                // tile b may sit on side x of a
+ *                 y: [[a, b], …], … }            // (axes per topology.js)
+ *
+ * Terrains then only supply labels, colours, glyphs and `uniformNeighbours`;
+ * their `weight`, `adjacency` and `maxSlope` are ignored, and tiles keep the
+ * `links` they were learned with only to be drawn.  The compiled
+ * `axes[axis]` is a pair of lists per tile – the tiles allowed after it
+ * along that axis, and before it – which the engine maps onto the sides of
+ * its topology.  Rulesets with
+ * channels get `axes` too; direction-free ones have `axes: null` and use
+ * `compatible` on every side.
+ */
+
+import { TOPOLOGIES, getTopology } from "./topology.js";
+import { normaliseConstraints } from "./constraints.js";
+
+/** Axis names any topology uses for explicit neighbour pairs. */
+const AXES = new Set(TOPOLOGIES.flatMap(t => Object.keys(t.axes)));
+
+/** Terrain `shape`s the isometric view knows how to draw. */
+const SHAPES = ["block", "flat", "house"];
+
+/**
+ * Build the engine tables from a parsed ruleset document.
+ * Throws an Error describing the first problem found.
+ *
+ * @param {object} json
+ */
+export function compileRuleset(json) {
+  if (!json || typeof json !== "object") throw new Error("Ruleset must be a JSON object");
+  if (!Array.isArray(json.terrains) || json.terrains.length === 0) {
+    throw new Error("Ruleset needs a non-empty \"terrains\" array");
+  }
+
+  if (json.topology !== undefined) getTopology(json.topology);
+  checkSlope(json.maxSlope, "Ruleset maxSlope");
+
+  const terrains = new Map();   // id → terrain definition
+  for (const t of json.terrains) {
+    if (typeof t.id !== "string" || !t.id) throw new Error("Every terrain needs a string \"id\"");
+    if (terrains.has(t.id)) throw new Error(`Duplicate terrain "${t.id}"`);
+    checkRange(t.z, `terrain "${t.id}" z`);
+    if (t.shape !== undefined && !SHAPES.includes(t.shape)) {
+      throw new Error(`Terrain "${t.id}" has unknown shape "${t.shape}"`);
+    }
+    checkSlope(t.maxSlope, `Terrain "${t.id}" maxSlope`);
+    if (t.links !== undefined) checkLinks(t, json.topology);
+    if (t.accepts !== undefined && !(Array.isArray(t.accepts) && t.accepts.every(c => typeof c === "string"))) {
+      throw new Error(`Terrain "${t.id}" accepts must be an array of channel names`);
+    }
+    terrains.set(t.id, t);
+  }
+
+  if (json.tiles !== undefined) return compileExplicit(json, terrains);
+
+  // ── Tile catalogue: one tile per terrain per z level ──
+  // (linked terrains: one per z level and arrangement of their links)
+  const sides = json.topology === undefined ? 0 : getTopology(json.topology).vectors.length;
+  const variants = new Map(json.terrains.map(t => [t.id, t.links ? linkVariants(t.links, sides) : [{}]]));
+  const tiles = [];
+  for (const t of json.terrains) {
+    for (let z = t.z[0]; z <= t.z[1]; z++) {
+      for (const v of variants.get(t.id)) tiles.push({ terrain: t.id, z, ...v });
+    }
+  }
+  if (tiles.length > 0x7fff) throw new Error("Ruleset has too many tiles");
+
+  const tileIndex = new Map();   // "terrain:z" → first index
+  tiles.forEach((t, i) => { if (!tileIndex.has(`${t.terrain}:${t.z}`)) tileIndex.set(`${t.terrain}:${t.z}`, i); });
+
+  // ── Weights ──
+  const weights = new Float64Array(tiles.length);
+  tiles.forEach((tile, i) => {
+    const w = terrains.get(tile.terrain).weight ?? 1;
+    weights[i] = (typeof w === "number" ? w : (w.base ?? 1) + (w.perZ ?? 0) * tile.z) / variants.get(tile.terrain).length;
+    if (!(weights[i] > 0)) {
+      throw new Error(`Tile ${tile.terrain}:${tile.z} has a non-positive weight`);
+    }
+  });
+
+  // ── Cardinal adjacency ──
+  for (const t of json.terrains) {
+    for (const rule of t.adjacency || []) {
+      for (const id of [].concat(rule.terrain ?? [])) {
+        if (!terrains.has(id)) throw new Error(`Terrain "${t.id}" references unknown terrain "${id}"`);
+      }
+      if (rule.z) checkRange(rule.z, `terrain "${t.id}" adjacency z`);
+      if (rule.selfZ) checkRange(rule.selfZ, `terrain "${t.id}" adjacency selfZ`);
+    }
+  }
+
+  const slopes = new Map(json.terrains.map(t => [t.id, t.maxSlope ?? json.maxSlope ?? Infinity]));
+  const adjacency = tiles.map(a => {
+    const def = terrains.get(a.terrain);
+    const set = new Set();
+    tiles.forEach((b, j) => {
+      if (Math.abs(a.z - b.z) <= slopes.get(a.terrain) && cardinalCompatible(def, a, b)) set.add(j);
+    });
+    return set;
+  });
+
+  // Symmetric table the engine actually uses: A next to B only if both allow it
+  let compatible = tiles.map((_, i) => {
+    const list = [];
+    for (const j of adjacency[i]) if (adjacency[j].has(i)) list.push(j);
+    return Int32Array.from(list);
+  });
+
+  // Channels make the rules depend on the side: per axis, as learned rules
+  // have them, the pairs allowed across it
+  let axes = null;
+  if (json.terrains.some(t => t.links)) {
+    axes = {};
+    const touching = compatible.map(list => new Set(list));
+    for (const [axis, side] of Object.entries(getTopology(json.topology).axes)) {
+      axes[axis] = [side, side ^ 1].map(d => tiles.map((a, i) => {
+        const list = [];
+        tiles.forEach((b, j) => { if (sideCompatible(terrains, slopes, a, b, d, touching[i].has(j))) list.push(j); });
+        return Int32Array.from(list);
+      }));
+    }
+    compatible = tiles.map((_, i) => sortedList(new Set(Object.values(axes).flatMap(([after, before]) => [...after[i], ...before[i]]))));
+  }
+
+  return finishRuleset(json, terrains, { tiles, tileIndex, weights, adjacency, compatible, axes });
+}
+
+/** Tiles, weights and neighbour pairs listed in the document (learned rules). */
+function compileExplicit(json, terrains) {
+  if (!Array.isArray(json.tiles) || json.tiles.length === 0) {
+    throw new Error("Ruleset \"tiles\" must be a non-empty array");
+  }
+  if (json.tiles.length > 0x7fff) throw new Error("Ruleset has too many tiles");
+  const tiles = json.tiles.map(({ terrain, z, links, out }, i) => {
+    const def = terrains.get(terrain);
+    if (!def) throw new Error(`Tile ${i} references unknown terrain "${terrain}"`);
+    if (!Number.isInteger(z) || !inRange(z, def.z)) throw new Error(`Tile ${i} has z outside terrain "${terrain}"`);
+    // Tiles learned from a map with channels keep their links, for drawing
+    if (!links) return { terrain, z };
+    return out === undefined ? { terrain, z, links } : { terrain, z, links, out };
+  });
+  const n = tiles.length;
+
+  const tileIndex = new Map();   // "terrain:z" → first index
+  tiles.forEach((t, i) => { if (!tileIndex.has(`${t.terrain}:${t.z}`)) tileIndex.set(`${t.terrain}:${t.z}`, i); });
+
+  const weights = Float64Array.from(json.tiles, t => t.weight ?? 1);
+  weights.forEach((w, i) => {
+    if (!(w > 0)) throw new Error(`Tile ${i} has a non-positive weight`);
+  });
+
+  // Per axis: [tiles that may follow each tile, tiles that may precede it]
+  const axes = {};
+  const adjacency = tiles.map(() => new Set());
+  for (const [axis, pairs] of Object.entries(json.neighbours || {})) {
+    if (!AXES.has(axis)) throw new Error(`Unknown neighbour axis "${axis}"`);
+    const after = tiles.map(() => new Set()), before = tiles.map(() => new Set());
+    for (const pair of pairs) {
+      const [a, b] = pair;
+      if (!Number.isInteger(a) || !Number.isInteger(b) || a < 0 || b < 0 || a >= n || b >= n) {
+        throw new Error(`Neighbour pair [${pair}] in "${axis}" references an unknown tile`);
+      }
+      after[a].add(b);
+      before[b].add(a);
+      adjacency[a].add(b);
+      adjacency[b].add(a);
+    }
+    axes[axis] = [after, before].map(side => side.map(sortedList));
+  }
+
+  // Direction-free view: tiles that may touch along at least one axis
+  const compatible = adjacency.map(sortedList);
+
+  return finishRuleset(json, terrains, { tiles, tileIndex, weights, adjacency, compatible, axes });
+}
+
+/** Add the house, legend and global-constraint tables shared by both kinds of ruleset. */
+function finishRuleset(json, terrains, tables) {
+  const { tiles } = tables;
+
+  // ── Uniform-neighbour tiles (houses) ──
+  const uniformTiles = [];
+  tiles.forEach((t, i) => { if (terrains.get(t.terrain).uniformNeighbours) uniformTiles.push(i); });
+  const uniformTerrains = json.terrains.filter(t => !t.uniformNeighbours).map(t => t.id);
+
+  // Doors: per side of a house, the channel tiles that may end against it
+  // there (their link crossing back toward the house) – a road up to the
+  // door leaves the rest of the ring as it is
+  const accepted = new Set(json.terrains.filter(t => t.uniformNeighbours).flatMap(t => t.accepts ?? []));
+  const sides = json.topology === undefined ? 0 : getTopology(json.topology).vectors.length;
+  const doorTiles = [];
+  for (let d = 0; d < sides; d++) {
+    const list = [];
+    tiles.forEach((t, i) => {
+      if (t.links?.includes(d ^ 1) && accepted.has(terrains.get(t.terrain).links?.channel)) list.push(i);
+    });
+    doorTiles.push(Int32Array.from(list));
+  }
+
+  // ── Legend ──
+  const legend = json.legend
+    ? json.legend.map(entry => {
+        if (!terrains.has(entry.terrain)) throw new Error(`Legend references unknown terrain "${entry.terrain}"`);
+        return { label: entry.label, terrain: entry.terrain, z: entry.z ?? terrains.get(entry.terrain).z[0] };
+      })
+    : json.terrains.map(t => ({ label: t.label || t.id, terrain: t.id, z: t.z[0] }));
+
+  return {
+    id: String(json.id || "custom"),
+    name: String(json.name || json.id || "Custom"),
+    source: json,
+    topology: json.topology ?? null,
+    terrains,
+    ...tables,
+    uniformTiles,
+    uniformTerrains,
+    doorTiles,
+    legend,
+    constraints: normaliseConstraints(json.constraints ?? [], terrains),
+  };
+}
+
+/**
+ * Fetch and compile a ruleset (browser).
+ * @param {string} url
+ */
+export async function loadRuleset(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load ruleset ${url} (${res.status})`);
+  return compileRuleset(await res.json());
+}
+
+/** "Grass z5" – a tile's name in reports; learned tiles add `#index`, as several may share it. */
+export function tileLabel(ruleset, t) {
+  const { terrain, z } = ruleset.tiles[t];
+  return `${ruleset.terrains.get(terrain).label || terrain} z${z}${ruleset.axes ? ` #${t}` : ""}`;
+}
+
+/** Bundled rulesets offered in the UI: [{ id, name, url }]. */
+export const BUILTIN_RULESETS = [
+  { id: "default", name: "Terrain (default)", url: "rulesets/default.json" },
+  { id: "smooth", name: "Smooth terrain", url: "rulesets/smooth.json" },
+  { id: "landscape", name: "Landscape (beaches, forests, rivers, roads)", url: "rulesets/landscape.json" },
+];
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function checkRange(range, what) {
+  if (!Array.isArray(range) || range.length !== 2 ||
+      !Number.isInteger(range[0]) || !Number.isInteger(range[1]) || range[0] > range[1]) {
+    throw new Error(`${what} must be an integer [min, max] range`);
+  }
+}
+
+function checkSlope(value, what) {
+  if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+    throw new Error(`${what} must be a whole number of z levels`);
+  }
+}
+
+function checkLinks(t, topology) {
+  const { links } = t;
+  if (!links || typeof links.channel !== "string" || !links.channel) {
+    throw new Error(`Terrain "${t.id}" links needs a "channel" name`);
+  }
+  if (topology === undefined) throw new Error(`Terrain "${t.id}" has links, so the ruleset must name its "topology"`);
+  const sides = getTopology(topology).vectors.length;
+  if (links.count !== undefined) {
+    checkRange(links.count, `terrain "${t.id}" links count`);
+    if (links.count[0] < 1 || links.count[1] > sides) {
+      throw new Error(`Terrain "${t.id}" links count must be within 1–${sides} sides`);
+    }
+  }
+}
+
+/** A linked terrain's arrangements: `{ links: [side, …], out? }` for each. */
+function linkVariants({ count, flow }, sides) {
+  const [min, max] = count ?? [1, sides];
+  const out = [];
+  for (let mask = 1; mask < 1 << sides; mask++) {
+    const links = [];
+    for (let d = 0; d < sides; d++) if (mask & (1 << d)) links.push(d);
+    if (links.length < min || links.length > max) continue;
+    if (flow) for (const d of links) out.push({ links, out: d });
+    else out.push({ links });
+  }
+  return out;
+}
+
+/** How tile's channel crosses side d: null, or { channel, dir: "link" | "out" | "in" }. */
+function linkEnd(terrains, tile, d) {
+  if (!tile.links?.includes(d)) return null;
+  const { channel, flow } = terrains.get(tile.terrain).links;
+  return { channel, dir: !flow ? "link" : tile.out === d ? "out" : "in" };
+}
+
+/**
+ * May tile B sit on side d of tile A (B's opposite side facing it)?
+ * `touching` is whether their adjacency rules allow the pair.
+ */
+function sideCompatible(terrains, slopes, a, b, d, touching) {
+  const ea = linkEnd(terrains, a, d), eb = linkEnd(terrains, b, d ^ 1);
+  if (!ea && !eb) return touching;
+  if (Math.abs(a.z - b.z) > Math.min(slopes.get(a.terrain), slopes.get(b.terrain))) return false;
+  if (ea && eb) {
+    if (ea.channel !== eb.channel) return false;
+    if (ea.dir === "link" || eb.dir === "link") return ea.dir === eb.dir;
+    // One flows out into the other, never uphill
+    return ea.dir !== eb.dir && (ea.dir === "out" ? b.z <= a.z : a.z <= b.z);
+  }
+  // A channel ends against a terrain that accepts it – flowing into it, not
+  // out of it
+  const [end, from, to] = ea ? [ea, a, b] : [eb, b, a];
+  if (end.dir === "in" || !(terrains.get(to.terrain).accepts ?? []).includes(end.channel)) return false;
+  return end.dir === "link" || to.z <= from.z;
+}
+
+function sortedList(set) {
+  return Int32Array.from([...set].sort((a, b) => a - b));
+}
+
+function inRange(v, range) {
+  return !range || (v >= range[0] && v <= range[1]);
+}
+
+/** True when tile B may sit cardinally next to tile A (of terrain def `ta`). */
+function cardinalCompatible(ta, a, b) {
+  for (const rule of ta.adjacency || []) {
+    if (rule.terrain !== undefined && ![].concat(rule.terrain).includes(b.terrain)) continue;
+    if (!inRange(b.z, rule.z)) continue;
+    if (!inRange(a.z, rule.selfZ)) continue;
+    return true;
+  }
+  return false;
+}
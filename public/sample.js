@@ -0,0 +1,199 @@
+/**
+ * sample.js – Learns a ruleset from an example map instead of predicates.
+ *
+ * The sample is any map drawn in an existing ruleset's tiles (a finished or
+ * painted grid, a saved map).  Two models, after the original WFC:
+ *
+ *   tiles    – every distinct tile in the sample, weighted by how often it
+ *              appears; two tiles may touch on a side only if they touch
+ *              that way somewhere in the sample.
+ *   patterns – every distinct N × N block of the sample ("overlapping"
+ *              model), weighted by frequency.  A cell's tile is its
+ *              pattern; neighbouring patterns must agree where they overlap,
+ *              and the cell shows the pattern's top-left tile.  Bigger N
+ *              copies larger structures but needs a bigger sample.
+ *
+ * The result is an ordinary ruleset document with explicit `tiles` and
+ * `neighbours` (see ruleset.js), so it compiles, saves, runs in the worker
+ * and renders like a hand-written one.  The base ruleset's terrains supply
+ * labels and colours; its adjacency rules are not carried over – the sample
+ * is the only source of those.  Its house rule (`uniformNeighbours`) is,
+ * since neighbour pairs alone can't ask for a whole ring of one terrain.
+ */
+
+import { normaliseSeed } from "./rng.js";
+import { WRAP_MODES } from "./wfc.js";
+import { getTopology, DEFAULT_TOPOLOGY } from "./topology.js";
+
+export const SAMPLE_MODELS = [
+  { id: "tiles", name: "Tiles" },
+  { id: "patterns", name: "Patterns" },
+];
+
+/** Pattern sizes offered for the overlapping model. */
+export const PATTERN_SIZES = [2, 3, 4];
+
+/**
+ * Learn a ruleset document from a sample map.
+ * Throws an Error if the sample has nothing to learn from.
+ *
+ * @param {object} base – compiled ruleset the sample is drawn in
+ * @param {object} sample
+ * @param {number} sample.width
+ * @param {number} sample.height
+ * @param {ArrayLike<number>} sample.tiles – tile index of `base` per cell,
+ *        row-major; -1 cells are skipped (with every pair and pattern
+ *        they are part of)
+ * @param {object} [options]
+ * @param {string} [options.model="tiles"] – "tiles" or "patterns"
+ * @param {number} [options.n=3] – pattern size for the "patterns" model
+ * @param {string} [options.wrap="none"] – edges of the sample that wrap
+ *        around (see WRAP_MODES), so opposite cells count as neighbours
+ * @param {string} [options.topology="square"] – the sample's cell layout;
+ *        the learned rules only run on grids of the same layout
+ * @returns {object} ruleset document for `compileRuleset`
+ */
+export function learnRuleset(base, sample, options = {}) {
+  const model = options.model ?? "tiles";
+  const n = options.n ?? 3;
+  const wrap = options.wrap ?? "none";
+  const topology = getTopology(options.topology ?? DEFAULT_TOPOLOGY);
+  if (!WRAP_MODES.includes(wrap)) throw new Error(`Unknown wrap mode "${wrap}"`);
+  const wrapX = wrap === "x" || wrap === "both";
+  const wrapY = wrap === "y" || wrap === "both";
+  const { width, height, tiles } = sample;
+  if (!SAMPLE_MODELS.some(m => m.id === model)) throw new Error(`Unknown sample model "${model}"`);
+  if (model === "patterns" && !PATTERN_SIZES.includes(n)) {
+    throw new Error(`Pattern size must be one of ${PATTERN_SIZES.join(", ")}`);
+  }
+  if (tiles.length !== width * height) throw new Error("Sample data doesn't match its size");
+
+  // Sample tile at lattice point (q, r), or -1 off the sample
+  const at = (q, r) => {
+    let [x, y] = topology.fromLattice(q, r);
+    if (wrapX) x = ((x % width) + width) % width;
+    if (wrapY) y = ((y % height) + height) % height;
+    return x >= 0 && y >= 0 && x < width && y < height ? tiles[y * width + x] : -1;
+  };
+
+  const learned = model === "tiles"
+    ? learnTiles(width, height, at, topology)
+    : learnPatterns(width, height, at, topology, n);
+  if (learned.tiles.length === 0) {
+    throw new Error(model === "tiles"
+      ? "The sample has no collapsed cells to learn from"
+      : `The sample has no complete ${n} × ${n} block to learn from`);
+  }
+
+  // Tiles are kept as base tile indices until here
+  const used = new Set(learned.tiles.map(t => base.tiles[t.tile].terrain));
+  const docTiles = learned.tiles.map(({ tile, weight }) => ({ ...base.tiles[tile], weight }));
+  const neighbours = learned.neighbours;
+  const hash = normaliseSeed(JSON.stringify([topology.id, docTiles, neighbours])).toString(16).padStart(8, "0");
+  const what = model === "tiles" ? "tiles" : `${n}×${n} patterns`;
+  const shape = topology.id === DEFAULT_TOPOLOGY ? "" : ` ${topology.name.toLowerCase()}`;
+
+  return {
+    id: `learned-${hash}`,
+    name: `Learned ${what} (${base.name}, ${width}×${height}${shape})`,
+    learned: { from: base.id, model, n: model === "patterns" ? n : undefined, wrap, width, height },
+    topology: topology.id,
+    terrains: base.source.terrains
+      .filter(t => used.has(t.id))
+      .map(({ id, label, z, colour, shade, icon, ascii, shape, links, uniformNeighbours }) =>
+        ({ id, label, z, colour, shade, icon, ascii, shape, links, uniformNeighbours })),
+    tiles: docTiles,
+    neighbours,
+    legend: base.legend.filter(entry => used.has(entry.terrain)),
+  };
+}
+
+// ── Models ───────────────────────────────────────────────────────────────────
+
+/** Simple tiled model: tile frequencies and the pairs seen side by side. */
+function learnTiles(width, height, at, topology) {
+  const index = new Map();   // base tile → learned tile
+  const tiles = [];
+  const cells = [];          // [q, r, learned tile] of every sampled cell
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [q, r] = topology.toLattice(x, y);
+      const t = at(q, r);
+      if (t < 0) continue;
+      if (!index.has(t)) {
+        index.set(t, tiles.length);
+        tiles.push({ tile: t, weight: 0 });
+      }
+      tiles[index.get(t)].weight++;
+      cells.push([q, r, index.get(t)]);
+    }
+  }
+
+  const neighbours = {};
+  for (const [axis, side] of Object.entries(topology.axes)) {
+    const [dq, dr] = topology.vectors[side];
+    const pairs = new Set();
+    for (const [q, r, a] of cells) {
+      const b = at(q + dq, r + dr);
+      if (b >= 0) pairs.add(`${a},${index.get(b)}`);
+    }
+    neighbours[axis] = [...pairs].map(key => key.split(",").map(Number));
+  }
+  return { tiles, neighbours };
+}
+
+/**
+ * Overlapping model: N × N patterns (rhombuses on a hex lattice) and which
+ * of them agree when shifted one step along each axis.
+ */
+function learnPatterns(width, height, at, topology, n) {
+  const index = new Map();   // pattern cells joined → pattern
+  const patterns = [];       // [{ cells, weight }]
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cells = block(at, ...topology.toLattice(x, y), n, n);
+      if (cells.includes(-1)) continue;
+      const key = cells.join(",");
+      if (!index.has(key)) {
+        index.set(key, patterns.length);
+        patterns.push({ cells, weight: 0 });
+      }
+      patterns[index.get(key)].weight++;
+    }
+  }
+
+  // q may sit one step (dq, dr) from p when they agree on the cells they
+  // share; patterns are grouped by their share of that overlap
+  const cellOf = p => (i, j) => p.cells[j * n + i];
+  const neighbours = {};
+  for (const [axis, side] of Object.entries(topology.axes)) {
+    const [dq, dr] = topology.vectors[side];
+    const [w, h] = [n - Math.abs(dq), n - Math.abs(dr)];
+    const byLead = new Map();   // q's part of the overlap → [q]
+    patterns.forEach((q, j) => {
+      const key = block(cellOf(q), Math.max(0, -dq), Math.max(0, -dr), w, h).join(",");
+      if (!byLead.has(key)) byLead.set(key, []);
+      byLead.get(key).push(j);
+    });
+    const pairs = [];
+    patterns.forEach((p, i) => {
+      const key = block(cellOf(p), Math.max(0, dq), Math.max(0, dr), w, h).join(",");
+      for (const j of byLead.get(key) || []) pairs.push([i, j]);
+    });
+    neighbours[axis] = pairs;
+  }
+
+  return {
+    tiles: patterns.map(p => ({ tile: p.cells[0], weight: p.weight })),
+    neighbours,
+  };
+}
+
+/** The w × h cells of `at` starting at (x, y), row by row. */
+function block(at, x, y, w, h) {
+  const out = [];
+  for (let dy = 0; dy < h; dy++) {
+    for (let dx = 0; dx < w; dx++) out.push(at(x + dx, y + dy));
+  }
+  return out;
+}
@@ -0,0 +1,71 @@
+/**
+ * selection.js – Regions picked on the grid to be generated again.
+ *
+ * A region is a rectangle between two corner cells, or a lasso: the cells a
+ * pointer passed over and every cell whose centre lies inside the loop
+ * they make.  Both are lists of cell indices, for `WFCGrid.reopen`.
+ */
+
+/**
+ * Cells of the rectangle with corner cells `a` and `b`.
+ *
+ * @param {number} width – grid columns
+ * @param {number} a
+ * @param {number} b
+ * @returns {number[]}
+ */
+export function rectangleCells(width, a, b) {
+  const [x0, x1] = [a % width, b % width].sort((p, q) => p - q);
+  const [y0, y1] = [Math.floor(a / width), Math.floor(b / width)].sort((p, q) => p - q);
+  const cells = [];
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) cells.push(y * width + x);
+  }
+  return cells;
+}
+
+/**
+ * Cells a lasso drawn through `path` (cells in the order the pointer met
+ * them) takes in: the path, closed back to its start, and whatever it
+ * encloses.  The pointer can skip cells when it moves fast, so a cell
+ * within half a cell of the loop counts as on it.
+ *
+ * @param {object} topology – see topology.js
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} path
+ * @returns {number[]}
+ */
+export function lassoCells(topology, width, height, path) {
+  const loop = path.map(idx => topology.centre(idx % width, Math.floor(idx / width)));
+  const cells = new Set(path);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [cx, cy] = topology.centre(x, y);
+      if (inside(loop, cx, cy) || nearLoop(loop, cx, cy, 0.5)) cells.add(y * width + x);
+    }
+  }
+  return [...cells];
+}
+
+/** Is (x, y) within `r` of a side of the closed polygon? */
+function nearLoop(points, x, y, r) {
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [ax, ay] = points[j], [bx, by] = points[i];
+    const [dx, dy] = [bx - ax, by - ay];
+    const len2 = dx * dx + dy * dy;
+    const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len2));
+    if (Math.hypot(ax + t * dx - x, ay + t * dy - y) <= r) return true;
+  }
+  return false;
+}
+
+/** Even-odd test of point (x, y) against a closed polygon. */
+function inside(points, x, y) {
+  let hit = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i], [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < xi + (y - yi) * (xj - xi) / (yj - yi)) hit = !hit;
+  }
+  return hit;
+}
@@ -0,0 +1,221 @@
+/**
+ * share.js – The page's settings in a URL hash, so a map can be shared as a
+ * link and rebuilt from it with no server involved.
+ *
+ *   #v=1&rules=default&w=24&h=14&seed=1234567&heuristic=entropy&start=12.7
+ *    &paint=sea:0-b.1k,house:5t,3+4:2a&reroll=3.2:1f-1j.23-27
+ *
+ * Every field is `key=value`; values only use characters a URL fragment
+ * allows unescaped.  Alongside the ones above: `topology`, `wrap`,
+ * `backtracks`, `speed` and `constraints`.
+ *
+ *   start        the cell the collapse began from, "x.y"; left out when the
+ *                map hasn't been generated
+ *   paint        painted cells grouped by what they're locked to – a terrain
+ *                id when it's all of that terrain's tiles, otherwise tile
+ *                indices joined by "+" – each followed by its cells as
+ *                base-36 indices and runs of them ("0-b" is cells 0 to 11)
+ *   reroll       regions generated again after the map, in order: the cell
+ *                each began from and its cells, as for `paint`; a map whose
+ *                first run was a re-roll has these but no `start`
+ *   constraints  global constraints, when they differ from the ruleset's:
+ *                "type:terrain+terrain:min:max" or "connected:terrain:over",
+ *                comma-separated; empty for none
+ *
+ * Only bundled rulesets can be named – anything else would need its whole
+ * definition in the link.
+ */
+
+export const LINK_VERSION = 1;
+
+/** Grid sizes the page builds; a link outside them would index other cells. */
+export const MIN_SIZE = 4;
+export const MAX_SIZE = 300;
+
+/**
+ * Hash (without the "#") for the given settings.
+ *
+ * @param {object} state
+ * @param {object} state.ruleset – compiled ruleset; its `id` goes in the link
+ * @param {number} state.width
+ * @param {number} state.height
+ * @param {number} state.seed
+ * @param {string} [state.topology]
+ * @param {string} [state.wrap]
+ * @param {string} [state.heuristic]
+ * @param {number} [state.backtracks]
+ * @param {number|string} [state.speed]
+ * @param {number} [state.start] – cell index
+ * @param {Array<{start: number, cells: number[]}>} [state.rerolls] – regions
+ *        re-rolled, in order (after the run from `start`, if there was one)
+ * @param {Map<number, number[]>} [state.paint] – cell → tiles it's locked to
+ * @param {Array<object>} [state.constraints] – normalised global constraints
+ * @returns {string}
+ */
+export function encodeLink(state) {
+  const { ruleset, width } = state;
+  const fields = [["v", LINK_VERSION], ["rules", ruleset.id], ["w", width], ["h", state.height]];
+  for (const key of ["topology", "wrap", "seed", "heuristic", "backtracks", "speed"]) {
+    if (state[key] !== undefined && state[key] !== null) fields.push([key, state[key]]);
+  }
+  const cell = idx => `${idx % width}.${Math.floor(idx / width)}`;
+  if (state.start !== undefined && state.start >= 0) fields.push(["start", cell(state.start)]);
+  if (state.paint?.size) fields.push(["paint", encodePaint(ruleset, state.paint)]);
+  if (state.constraints) fields.push(["constraints", encodeConstraints(state.constraints)]);
+  if (state.rerolls?.length) {
+    fields.push(["reroll", state.rerolls.map(r => `${cell(r.start)}:${encodeCells(r.cells)}`).join(",")]);
+  }
+  return fields.map(([key, value]) => `${key}=${escape(String(value))}`).join("&");
+}
+
+/**
+ * Settings from a hash made by `encodeLink` (with or without the "#").
+ * Returns the same fields, except that `ruleset` is the id, `paint` is a
+ * list of `[idx, allowedTiles]` ready for `WFCGrid.constrain` and `seed`
+ * stays a string; `rerolls` is always there, empty for none.  Throws an
+ * Error if the hash isn't a link of ours.
+ *
+ * @param {string} hash
+ * @returns {object}
+ */
+export function decodeLink(hash) {
+  const fields = new Map();
+  for (const part of hash.replace(/^#/, "").split("&")) {
+    if (!part) continue;
+    const eq = part.indexOf("=");
+    if (eq < 0) throw new Error(`"${part}" has no value`);
+    fields.set(part.slice(0, eq), decodeURIComponent(part.slice(eq + 1)));
+  }
+  if (fields.get("v") !== String(LINK_VERSION)) throw new Error("not a map link, or from a newer version of the page");
+  if (!fields.get("rules")) throw new Error("no ruleset");
+
+  const state = {
+    ruleset: fields.get("rules"),
+    width: whole(fields.get("w"), "width"),
+    height: whole(fields.get("h"), "height"),
+  };
+  for (const key of ["width", "height"]) {
+    if (state[key] < MIN_SIZE || state[key] > MAX_SIZE) throw new Error(`${key} must be ${MIN_SIZE} to ${MAX_SIZE}`);
+  }
+  for (const key of ["topology", "wrap", "seed", "heuristic", "speed"]) {
+    if (fields.has(key)) state[key] = fields.get(key);
+  }
+  if (fields.has("backtracks")) state.backtracks = whole(fields.get("backtracks"), "backtracks");
+  const cell = (text, what) => {
+    const parts = text.split(".");
+    if (parts.length !== 2) throw new Error(`${what} must be "x.y"`);
+    const [x, y] = parts.map(v => whole(v, what));
+    if (x >= state.width || y >= state.height) throw new Error(`${what} is off the map`);
+    return y * state.width + x;
+  };
+  const size = state.width * state.height;
+  if (fields.has("start")) state.start = cell(fields.get("start"), "start cell");
+  state.paint = fields.has("paint") ? decodePaint(fields.get("paint"), size) : [];
+  if (fields.has("constraints")) state.constraints = decodeConstraints(fields.get("constraints"));
+  state.rerolls = [];
+  if (fields.has("reroll")) {
+    for (const region of fields.get("reroll").split(",")) {
+      const colon = region.indexOf(":");
+      if (colon < 0) throw new Error(`re-rolled region "${region}" isn't "x.y:cells"`);
+      state.rerolls.push({ start: cell(region.slice(0, colon), "re-roll start"), cells: decodeCells(region.slice(colon + 1), size, "re-rolled cell") });
+    }
+  }
+  return state;
+}
+
+// ── Painted cells ────────────────────────────────────────────────────────────
+
+function encodePaint(ruleset, paint) {
+  const groups = new Map();
+  for (const [idx, tiles] of paint) {
+    const key = paintKey(ruleset, tiles);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(idx);
+  }
+  return [...groups].map(([key, cells]) => `${key}:${encodeCells(cells)}`).join(",");
+}
+
+/** A terrain id if `tiles` are exactly that terrain's tiles, else "t+t+…". */
+function paintKey(ruleset, tiles) {
+  const set = new Set(tiles);
+  for (const id of ruleset.terrains.keys()) {
+    const own = ruleset.tiles.flatMap((tile, i) => tile.terrain === id ? [i] : []);
+    if (own.length === set.size && own.every(i => set.has(i))) return id;
+  }
+  return [...set].sort((a, b) => a - b).join("+");
+}
+
+function decodePaint(text, size) {
+  const paint = [];
+  for (const group of text.split(",")) {
+    const colon = group.lastIndexOf(":");
+    if (colon <= 0) throw new Error(`painted cells "${group}" aren't "what:cells"`);
+    const key = group.slice(0, colon);
+    const allowed = /^\d+(\+\d+)*$/.test(key) ? key.split("+").map(Number) : [{ terrain: key }];
+    for (const idx of decodeCells(group.slice(colon + 1), size)) paint.push([idx, allowed]);
+  }
+  return paint;
+}
+
+/** Sorted cell indices as base-36 numbers and "first-last" runs, joined by ".". */
+function encodeCells(cells) {
+  const sorted = [...cells].sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    parts.push(j > i ? `${sorted[i].toString(36)}-${sorted[j].toString(36)}` : sorted[i].toString(36));
+    i = j;
+  }
+  return parts.join(".");
+}
+
+function decodeCells(text, size, what = "painted cell") {
+  const cells = [];
+  for (const part of text.split(".")) {
+    const [first, last = first] = part.split("-").map(v => {
+      if (!/^[0-9a-z]+$/.test(v)) throw new Error(`"${part}" isn't a cell or run of cells`);
+      return parseInt(v, 36);
+    });
+    if (first > last) throw new Error(`"${part}" runs backwards`);
+    if (last >= size) throw new Error(`a ${what} is off the map`);
+    for (let idx = first; idx <= last; idx++) cells.push(idx);
+  }
+  return cells;
+}
+
+// ── Global constraints ───────────────────────────────────────────────────────
+
+function encodeConstraints(list) {
+  return list.map(c => c.type === "connected"
+    ? [c.type, c.terrain.join("+"), c.over.join("+")].join(":")
+    : [c.type, c.terrain.join("+"), c.min, c.max ?? ""].join(":")).join(",");
+}
+
+/** Constraints as written in a ruleset; normaliseConstraints checks them. */
+function decodeConstraints(text) {
+  if (!text) return [];
+  return text.split(",").map(part => {
+    const [type, terrain = "", a = "", b = ""] = part.split(":");
+    const ids = v => v ? v.split("+") : [];
+    if (type === "connected") return { type, terrain: ids(terrain), over: ids(a) };
+    const number = v => {
+      if (v === "") return undefined;
+      if (!Number.isFinite(+v)) throw new Error(`"${v}" in a global constraint isn't a number`);
+      return +v;
+    };
+    return { type, terrain: ids(terrain), min: number(a), max: number(b) };
+  });
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function whole(value, what) {
+  if (!/^\d+$/.test(value ?? "")) throw new Error(`${what} must be a whole number`);
+  return +value;
+}
+
+/** encodeURIComponent, leaving the punctuation a fragment allows as it is. */
+function escape(text) {
+  return encodeURIComponent(text).replace(/%(2B|2C|3A|40|21|24|27|28|29|2A|3B|2F|3F)/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
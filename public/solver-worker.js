@@ -0,0 +1,76 @@
+/**
+ * solver-worker.js – Runs `WFCGrid.run` off the main thread.
+ *
+ * The page pulls work in batches so it controls the pace (and can pause
+ * simply by not asking).  Protocol:
+ *
+ *   page → worker
+ *     { type: "start", ruleset, grid, startIdx }  – ruleset JSON + WFCGrid.toJSON()
+ *     { type: "step", maxEvents, maxMs }          – advance the run, reply with a batch
+ *
+ *   worker → page
+ *     { type: "batch", events, cells, rng, backtracks, finished }
+ *         events – generator events, with Sets turned into arrays; a
+ *                  contradiction carries `explanation` (`explainCell`)
+ *         cells  – one `exportCells` diff per event, of the cells it changed,
+ *                  so the page can record and undo events one at a time
+ *         rng    – the PRNG state after each event, which the page's grid
+ *                  takes on so that saving it mid-run resumes the same sequence
+ *     { type: "error", message }
+ *
+ * Cancelling is done by terminating the worker.
+ */
+
+import { WFCGrid } from "./wfc.js";
+import { compileRuleset } from "./ruleset.js";
+
+let grid = null;
+let gen = null;
+
+self.onmessage = ({ data }) => {
+  try {
+    if (data.type === "start") start(data);
+    else if (data.type === "step") step(data);
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
+
+function start({ ruleset, grid: doc, startIdx }) {
+  // The page's grid is always fully propagated between runs
+  grid = WFCGrid.fromJSON(doc, { ruleset: compileRuleset(ruleset), repropagate: false });
+  gen = grid.run(startIdx);
+}
+
+function step({ maxEvents, maxMs }) {
+  const t0 = performance.now();
+  const events = [];
+  const cells = [];
+  const rng = [];
+  let finished = false;
+
+  while (events.length < maxEvents && performance.now() - t0 < maxMs) {
+    const { value: event, done } = gen.next();
+    if (done) { finished = true; break; }
+    events.push(toMessage(event));
+    cells.push(grid.exportCells(grid.dirty));
+    grid.dirty.clear();
+    rng.push(grid.random.getState?.() ?? null);
+    if (event.type === "done" || event.type === "contradiction") { finished = true; break; }
+  }
+
+  self.postMessage(
+    { type: "batch", events, cells, rng, backtracks: grid.backtracks, finished },
+    cells.flatMap(c => [c.indices.buffer, c.collapsed.buffer, c.waves.buffer]),
+  );
+}
+
+/** Events carry Sets, which survive postMessage but arrays are cheaper. */
+function toMessage(event) {
+  const out = { ...event };
+  if (event.changed) out.changed = [...event.changed];
+  if (event.restored) out.restored = [...event.restored];
+  // Only this grid knows why tiles went, so explain it before replying
+  if (event.type === "contradiction") out.explanation = grid.explainCell(event.idx);
+  return out;
+}
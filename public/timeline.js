@@ -0,0 +1,100 @@
+/**
+ * timeline.js – Records a run's events so it can be replayed, stepped and
+ * scrubbed in both directions.
+ *
+ * Each entry holds an event and the state of the cells it changed (an
+ * `exportCells` diff) on the far side of the cursor: what they were before
+ * for an entry behind it, what they became for one ahead of it.  Moving the
+ * cursor over an entry swaps that state with the grid's, so every change is
+ * stored once and undoing it costs no more than doing it.
+ *
+ * Entries also keep the run's PRNG state after their event, so a grid saved
+ * at any point of the run resumes with the random sequence it had there.
+ */
+
+export class Timeline {
+  /** @param {number|null} [rng] – the grid's PRNG state before the run */
+  constructor(rng = null) {
+    /** @type {Array<{ event: object, cells: object, backtracks: number, rng: number|null }>} */
+    this.entries = [];
+    this.startRng = rng;
+    /** Number of entries applied to the grid. */
+    this.position = 0;
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+
+  /** Backtracks made up to the cursor. */
+  get backtracks() {
+    return this.position > 0 ? this.entries[this.position - 1].backtracks : 0;
+  }
+
+  /** PRNG state at the cursor, or null if the run's PRNG can't report one. */
+  get rng() {
+    return this.position > 0 ? this.entries[this.position - 1].rng : this.startRng;
+  }
+
+  /** The event just before the cursor, or null at the start. */
+  get current() {
+    return this.position > 0 ? this.entries[this.position - 1].event : null;
+  }
+
+  /** Is the cursor on the latest recorded event? */
+  get atEnd() {
+    return this.position === this.entries.length;
+  }
+
+  /**
+   * Record the run's next event.  With the cursor at the end the grid moves
+   * on with it; otherwise it waits, like every entry ahead of the cursor.
+   *
+   * @param {WFCGrid} grid
+   * @param {object} event – a `WFCGrid.run` event
+   * @param {object} cells – `exportCells` diff of the cells it changed
+   * @param {number|null} [rng] – the run's PRNG state after the event
+   * @returns {boolean} whether the event was applied to the grid
+   */
+  record(grid, event, cells, rng = null) {
+    const previous = this.entries.length > 0 ? this.entries[this.entries.length - 1].backtracks : 0;
+    const backtracks = previous + (event.type === "backtrack" ? 1 : 0);
+    const apply = this.atEnd;
+    if (apply) {
+      cells = swap(grid, cells);
+      this.position++;
+    }
+    this.entries.push({ event, cells, backtracks, rng });
+    return apply;
+  }
+
+  /** Redo the next event; returns it, or null at the end. */
+  forward(grid) {
+    if (this.atEnd) return null;
+    const entry = this.entries[this.position++];
+    entry.cells = swap(grid, entry.cells);
+    return entry.event;
+  }
+
+  /** Undo the previous event; returns it, or null at the start. */
+  back(grid) {
+    if (this.position === 0) return null;
+    const entry = this.entries[--this.position];
+    entry.cells = swap(grid, entry.cells);
+    return entry.event;
+  }
+
+  /** Move the cursor to `position` (clamped), undoing or redoing on the way. */
+  seek(grid, position) {
+    const target = Math.max(0, Math.min(this.entries.length, position));
+    while (this.position < target) this.forward(grid);
+    while (this.position > target) this.back(grid);
+  }
+}
+
+/** Put `cells` into the grid; returns what they replaced. */
+function swap(grid, cells) {
+  const replaced = grid.exportCells(cells.indices);
+  grid.importCells(cells);
+  return replaced;
+}
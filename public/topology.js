@@ -0,0 +1,70 @@
+/**
+ * topology.js – Cell layouts the engine can run on.
+ *
+ * Whatever the layout, a grid is `width × height` cells stored row-major
+ * and addressed by (x, y).  A topology says how those cells connect:
+ *
+ *   vectors     – one step through each side, in lattice coordinates; the
+ *                 opposite of side d is d ^ 1
+ *   sides       – a name for each side, for messages
+ *   ring        – lattice offsets of the cells around a cell that house
+ *                 (uniform-neighbour) rules look at
+ *   axes        – explicit-ruleset axis name → the side of tile a that
+ *                 tile b sits on (see ruleset.js)
+ *   toLattice / fromLattice – (x, y) ⇄ lattice coordinates, where every
+ *                 side is a fixed vector
+ *   distance    – steps between two lattice points
+ *   centre      – cell centre in layout units (one unit = one cell across)
+ *
+ * Hex grids are pointy-top hexagons in "odd-r" offset layout – odd rows sit
+ * half a cell to the right, so the map stays rectangular – and their
+ * lattice is axial coordinates (q = x − ⌊y / 2⌋, r = y).  Only an even
+ * number of rows can wrap vertically without breaking that row pattern.
+ */
+
+const SQUARE = {
+  id: "square",
+  name: "Square",
+  // W, E, N, S
+  vectors: [[-1, 0], [1, 0], [0, -1], [0, 1]],
+  sides: ["west", "east", "north", "south"],
+  ring: [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]],
+  axes: { x: 1, y: 3 },   // b east of a, b south of a
+  toLattice: (x, y) => [x, y],
+  fromLattice: (q, r) => [q, r],
+  distance: (q0, r0, q1, r1) => Math.max(Math.abs(q1 - q0), Math.abs(r1 - r0)),
+  centre: (x, y) => [x + 0.5, y + 0.5],
+};
+
+const HEX_ROW = Math.sqrt(3) / 2;   // row pitch of pointy-top hexes one unit wide
+
+const HEX = {
+  id: "hex",
+  name: "Hex",
+  // W, E, NW, SE, NE, SW (axial)
+  vectors: [[-1, 0], [1, 0], [0, -1], [0, 1], [1, -1], [-1, 1]],
+  sides: ["west", "east", "north-west", "south-east", "north-east", "south-west"],
+  ring: [[-1, 0], [1, 0], [0, -1], [0, 1], [1, -1], [-1, 1]],
+  axes: { x: 1, y: 3, z: 5 },   // b east, south-east, south-west of a
+  toLattice: (x, y) => [x - Math.floor(y / 2), y],
+  fromLattice: (q, r) => [q + Math.floor(r / 2), r],
+  distance: (q0, r0, q1, r1) => {
+    const dq = q1 - q0, dr = r1 - r0;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+  },
+  centre: (x, y) => [x + 0.5 + (y & 1) / 2, y * HEX_ROW + 1 / Math.sqrt(3)],
+};
+
+export const TOPOLOGIES = [SQUARE, HEX];
+
+export const DEFAULT_TOPOLOGY = "square";
+
+/**
+ * Look up a topology by id.  Throws an Error for unknown ids.
+ * @param {string} id
+ */
+export function getTopology(id) {
+  const topology = TOPOLOGIES.find(t => t.id === id);
+  if (!topology) throw new Error(`Unknown topology "${id}"`);
+  return topology;
+}
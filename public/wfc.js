@@ -1,142 +1,129 @@
 /**
  * wfc.js – Wave Function Collapse engine for the terrain grid.
  *
- * Each "tile" is a { terrain, z } pair.  We pre-compute every legal tile
- * and the adjacency constraints between them, then run a standard WFC loop:
+ * Each "tile" is a { terrain, z } pair.  The tile catalogue, weights and
+ * adjacency constraints come from a compiled ruleset (see ruleset.js); the
+ * engine itself knows nothing about sea or mountains and runs a standard
+ * WFC loop:
  *   1. pick the un-collapsed cell with the lowest entropy
  *   2. collapse it (weighted random from its remaining options)
  *   3. propagate constraints to neighbours
  *
  * The engine is a generator so the caller can step through it and animate.
+ * All randomness comes from a seeded PRNG, so a (seed, size, start cell)
+ * triple always reproduces the same map.
+ *
+ * Each step only costs work proportional to what actually changed: waves
+ * are 32-bit words in one flat array, neighbour constraints are kept with
+ * AC-4 style support counters (a tile goes when no neighbouring option
+ * supports it any more), and the next cell comes off a min-heap instead of
+ * a scan of the whole grid.  The heap's order – which cell goes next – is
+ * set by a pluggable heuristic (see heuristics.js).
+ *
+ * Cells are square or hexagonal: the engine only ever asks which cells
+ * neighbour which, and that comes from a topology (see topology.js).
+ *
+ * Every removal records why it happened – the rule, and the removal next
+ * door that set it off – so a contradiction can be traced back to the
+ * collapse or painted cell it started from (see `explainCell`).
+ *
+ * Global constraints (see constraints.js) are kept the same way: each
+ * removal updates how many cells can still be, and surely are, a
+ * constraint's terrain.  A bound reached forces the open cells one way;
+ * a removal that may cut a connected terrain in two sets off a flood fill
+ * that takes the terrain from every cell cut off from its sure cells; a
+ * bound broken counts as a contradiction.  Collapses are also steered
+ * toward the amounts asked for.
  */
 
-// ── Tile catalogue ──────────────────────────────────────────────────────────
-
-/** All possible tile states a single cell can hold. */
-function buildTileCatalogue() {
-  const tiles = [];
-
-  // Sea: z=0
-  tiles.push({ terrain: "sea", z: 0 });
+import { createRng, normaliseSeed, randomSeed } from "./rng.js";
+import { getHeuristic, DEFAULT_HEURISTIC } from "./heuristics.js";
+import { getTopology, DEFAULT_TOPOLOGY } from "./topology.js";
+import { normaliseConstraints } from "./constraints.js";
 
-  // Ground: z=0..5
-  for (let z = 0; z <= 5; z++) {
-    tiles.push({ terrain: "ground", z });
-  }
-
-  // Mountain: z=6..10 (only above elevation 5)
-  for (let z = 6; z <= 10; z++) {
-    tiles.push({ terrain: "mountain", z });
-  }
-
-  // House: can sit on ground or mountain z-levels
-  for (let z = 0; z <= 10; z++) {
-    tiles.push({ terrain: "house", z });
-  }
+// ── Bit helpers (32-bit words) ──────────────────────────────────────────────
+// A wave is `waveWords` consecutive words of `WFCGrid.wave`; bit t = tile t.
+// Bits past the tile count are never set.
 
-  return tiles;
+function popcount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
 }
 
-const ALL_TILES = buildTileCatalogue();
-const TILE_INDEX = new Map();          // key → index
-ALL_TILES.forEach((t, i) => {
-  TILE_INDEX.set(`${t.terrain}:${t.z}`, i);
-});
-const N_TILES = ALL_TILES.length;
-
-// ── Cardinal adjacency rules (N, E, S, W) ──────────────────────────────────
-
-/**
- * Returns true when tile A can sit cardinally adjacent to tile B
- * according to the terrain rules.
- */
-function cardinalCompatible(a, b) {
-  // Sea adjacency
-  if (a.terrain === "sea") {
-    if (b.terrain === "sea") return true;
-    if (b.terrain === "ground" && b.z === 0) return true;
-    return false;
-  }
+/** Index of the lowest set bit of a non-zero word. */
+function lowestBit(x) {
+  return 31 - Math.clz32(x & -x);
+}
 
-  // Ground adjacency
-  if (a.terrain === "ground") {
-    if (b.terrain === "sea") return a.z === 0;
-    if (b.terrain === "ground") return true;
-    if (b.terrain === "mountain") return a.z >= 5;  // only high ground borders mountains
-    if (b.terrain === "house") return true;
-    return false;
+/** Hex of a wave, byte by byte – the same text the old byte bitsets produced. */
+function wordsToHex(words, offset, n) {
+  let hex = "";
+  for (let i = 0; i < Math.ceil(n / 8); i++) {
+    hex += ((words[offset + (i >> 2)] >>> ((i & 3) * 8)) & 0xff).toString(16).padStart(2, "0");
   }
+  return hex;
+}
 
-  // Mountain adjacency: can only be adjacent to cells with z>=5
-  if (a.terrain === "mountain") {
-    return b.z >= 5;
+/** Parse `wordsToHex` output into a zeroed wave at `offset`. */
+function hexToWords(hex, n, words, offset) {
+  const nBytes = Math.ceil(n / 8);
+  if (typeof hex !== "string" || hex.length !== nBytes * 2 || !/^[0-9a-f]*$/i.test(hex)) {
+    throw new Error("Malformed wave bitset");
   }
-
-  // House adjacency (cardinal): house sits on ground/mountain, and cardinal
-  // neighbours just follow its underlying z constraints.
-  // House inherits ground/mountain-like rules for cardinal adjacency.
-  if (a.terrain === "house") {
-    // House must not be fully surrounded by sea – handled at higher level
-    // Cardinal: treat house like its underlying terrain for adjacency
-    if (b.terrain === "sea") return a.z === 0;
-    return true;
+  for (let i = 0; i < nBytes; i++) {
+    words[offset + (i >> 2)] |= parseInt(hex.substr(i * 2, 2), 16) << ((i & 3) * 8);
   }
-
-  return false;
+  for (let t = n; t < nBytes * 8; t++) words[offset + (t >> 5)] &= ~(1 << (t & 31));
 }
 
-/**
- * Pre-compute per-tile allowed neighbour sets (as BitSets for speed).
- * allowedCardinal[i] → Set of tile indices allowed cardinally adjacent to i.
- */
-function buildAdjacencySets() {
-  const allowed = new Array(N_TILES);
-  for (let i = 0; i < N_TILES; i++) {
-    const set = new Set();
-    for (let j = 0; j < N_TILES; j++) {
-      if (cardinalCompatible(ALL_TILES[i], ALL_TILES[j])) {
-        set.add(j);
-      }
-    }
-    allowed[i] = set;
-  }
-  return allowed;
+/** Per-cell hash in [0, 1), used to break ties in a fixed random order. */
+function cellNoise(seed, idx) {
+  let h = Math.imul(seed ^ 0x9e3779b9, 0x85ebca6b) ^ idx;
+  h = Math.imul(h ^ (h >>> 16), 0x7feb352d);
+  h = Math.imul(h ^ (h >>> 15), 0x846ca68b);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
 }
 
-const CARDINAL_ALLOWED = buildAdjacencySets();
+// ── Provenance ──────────────────────────────────────────────────────────────
+// Why each removed tile went, per `idx * nTiles + tile`.  For adjacency and
+// house pins, `_cause` holds the removal that set it off (an entry of the
+// same form); for a collapse, the tile chosen instead.
 
-// ── Bit-set helpers (Uint8Array bitmask) ────────────────────────────────────
+const CAUSE_UNKNOWN = 0;      // before this grid (loaded from a save)
+const CAUSE_COLLAPSE = 1;     // another tile was chosen for the cell
+const CAUSE_ADJACENCY = 2;    // nothing left on one side allows it
+const CAUSE_HOUSE_RING = 3;   // a house, with no terrain left for its whole ring
+const CAUSE_HOUSE_PIN = 4;    // next to a cell that can only be a house
+const CAUSE_PAINT = 5;        // ruled out by a painted constraint
+const CAUSE_BACKTRACK = 6;    // a choice that led to a contradiction
+const CAUSE_GLOBAL = 7;       // forced by a global constraint
 
-function bitsNew() {
-  return new Uint8Array(Math.ceil(N_TILES / 8)).fill(0);
-}
+// A global removal's cause is `constraint * 4 + bound`, bound being one of
+const GLOBAL_BOUNDS = ["min", "max", "cut"];
 
-function bitsAll() {
-  const b = bitsNew();
-  for (let i = 0; i < N_TILES; i++) bitsSet(b, i);
-  return b;
-}
+/** Longest chain `explainCell` follows back; cascades can run through every cell. */
+const MAX_CHAIN = 64;
 
-function bitsSet(b, i) { b[i >> 3] |= 1 << (i & 7); }
-function bitsClear(b, i) { b[i >> 3] &= ~(1 << (i & 7)); }
-function bitsHas(b, i) { return (b[i >> 3] >> (i & 7)) & 1; }
+/** Rule names used in `explainCell` results, by cause. */
+export const CAUSES = ["unknown", "collapse", "adjacency", "house-ring", "house-pin", "paint", "backtrack", "global"];
 
-function bitsCount(b) {
-  let c = 0;
-  for (let i = 0; i < N_TILES; i++) if (bitsHas(b, i)) c++;
-  return c;
-}
+// ── Steering ────────────────────────────────────────────────────────────────
 
-function bitsClone(b) { return b.slice(); }
+/** Largest factor a coverage or count constraint scales its tiles' weights by. */
+const MAX_STEER = 16;
 
-function bitsEqual(a, b) {
-  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
-  return true;
-}
+/** Share of the grid that must be decided before collapses are steered. */
+const STEER_AFTER = 0.02;
 
-function bitsForEach(b, fn) {
-  for (let i = 0; i < N_TILES; i++) if (bitsHas(b, i)) fn(i);
-}
+// ── Serialization format ────────────────────────────────────────────────────
+
+/** Identifies saved grid documents (see `WFCGrid.toJSON`). */
+export const SAVE_FORMAT = "super-position-grid";
+export const SAVE_VERSION = 1;
+
+/** Edge handling: which axes wrap around (a torus for "both"). */
+export const WRAP_MODES = ["none", "x", "y", "both"];
 
 // ── Grid / Wave state ───────────────────────────────────────────────────────
 
@@ -144,292 +131,1322 @@ export class WFCGrid {
   /**
    * @param {number} width
    * @param {number} height
+   * @param {object} options
+   * @param {object} options.ruleset  – compiled ruleset (see compileRuleset)
+   * @param {number|string} [options.seed]  – PRNG seed (random if omitted)
+   * @param {() => number} [options.random] – custom PRNG; overrides `seed`
+   * @param {number} [options.maxBacktracks=0] – backtrack budget per run;
+   *        0 aborts on the first contradiction
+   * @param {string|object} [options.heuristic="entropy"] – cell-selection
+   *        heuristic id, or a `{ id, name, key }` object (see heuristics.js)
+   * @param {string} [options.wrap="none"] – "x", "y" or "both" make those
+   *        edges wrap around, so the finished map tiles seamlessly
+   * @param {string} [options.topology="square"] – cell layout: "square" or
+   *        "hex" (see topology.js)
+   * @param {Array<object>} [options.globalConstraints] – global constraints
+   *        (see constraints.js); defaults to the ruleset's
    */
-  constructor(width, height) {
+  constructor(width, height, options = {}) {
     this.width = width;
     this.height = height;
     this.size = width * height;
 
-    /** Each cell holds a bitset of possible tile indices. */
-    this.wave = new Array(this.size);
+    /** Wrap mode (see WRAP_MODES); wrapped edges are neighbours of each other. */
+    this.wrap = options.wrap ?? "none";
+    if (!WRAP_MODES.includes(this.wrap)) throw new Error(`Unknown wrap mode "${this.wrap}"`);
+    this.wrapX = this.wrap === "x" || this.wrap === "both";
+    this.wrapY = this.wrap === "y" || this.wrap === "both";
+
+    /** Cell layout (see topology.js): which cells are neighbours. */
+    this.topology = getTopology(options.topology ?? DEFAULT_TOPOLOGY);
+    if (this.topology.id === "hex" && this.wrapY && height % 2 !== 0) {
+      throw new Error("Hex grids need an even height to wrap vertically");
+    }
+
+    /** Compiled ruleset: tiles, weights, adjacency. */
+    this.ruleset = options.ruleset;
+    if (!this.ruleset) throw new Error("WFCGrid needs a compiled ruleset");
+    if (this.ruleset.topology && this.ruleset.topology !== this.topology.id) {
+      throw new Error(`Ruleset "${this.ruleset.id}" is for ${this.ruleset.topology} grids`);
+    }
+    this.nTiles = this.ruleset.tiles.length;
+
+    /** 32-bit words per cell in `wave`. */
+    this.waveWords = Math.ceil(this.nTiles / 32);
+
+    /** Seed in use (normalised to uint32), or null with a custom PRNG. */
+    this.seed = options.random ? null : normaliseSeed(options.seed ?? randomSeed());
+    this._customRandom = options.random || null;
+
+    /** Possible tiles of every cell: `waveWords` words per cell, bit t = tile t. */
+    this.wave = new Uint32Array(this.size * this.waveWords);
+
+    /** Number of possible tiles per cell. */
+    this.counts = new Int16Array(this.size);
 
-    /** Collapsed tile index per cell (-1 while in superposition). */
+    /** Collapsed tile index per cell (-1 unless exactly one tile is left). */
     this.collapsed = new Int16Array(this.size).fill(-1);
 
     /** Track which cells have been touched during propagation for animation. */
     this.dirty = new Set();
 
+    /** Cell-selection heuristic: `{ id, name, key(grid, idx) }`. */
+    this.heuristic = typeof options.heuristic === "object"
+      ? options.heuristic
+      : getHeuristic(options.heuristic ?? DEFAULT_HEURISTIC);
+
+    /** Start cell of the current / last run (the spiral heuristic's centre). */
+    this.origin = Math.floor(height / 2) * width + Math.floor(width / 2);
+
+    /** How many times `run()` may undo a decision before giving up. */
+    this.maxBacktracks = options.maxBacktracks ?? 0;
+
+    /** Backtracks used by the current / last run. */
+    this.backtracks = 0;
+
+    /**
+     * Undo trail: every tile removed since the run started, as
+     * `idx * nTiles + tile`.  A decision's snapshot is just the trail length
+     * when it was made.  null while backtracking is disabled.
+     */
+    this._trail = null;
+
+    /** Cell whose wave was emptied by the last removal, or -1. */
+    this._contradiction = -1;
+
+    /** Painted constraints: idx → allowed tile indices (see `constrain`). */
+    this.constraints = new Map();
+
+    /** Global constraints, normalised (see constraints.js). */
+    this.globalConstraints = normaliseConstraints(
+      options.globalConstraints ?? this.ruleset.constraints ?? [], this.ruleset.terrains);
+
+    this._buildTables();
     this.reset();
   }
 
-  reset() {
-    for (let i = 0; i < this.size; i++) {
-      this.wave[i] = bitsAll();
-      this.collapsed[i] = -1;
+  /** Neighbour, compatibility and terrain tables; fixed for the grid's life. */
+  _buildTables() {
+    const { width, height, size, nTiles: n, waveWords: W, ruleset, topology } = this;
+
+    // Neighbours through each of the topology's D sides (the opposite of
+    // side d is d ^ 1) and the R-cell house ring; -1 = outside the grid
+    const D = this._sides = topology.vectors.length;
+    const R = this._ringSize = topology.ring.length;
+    this._nbr = new Int32Array(size * D);
+    this._ring = new Int32Array(size * R);
+    const latticeCell = (q, r, [dq, dr]) => this._cellAt(...topology.fromLattice(q + dq, r + dr));
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = this._idx(x, y);
+        const [q, r] = topology.toLattice(x, y);
+        topology.vectors.forEach((v, d) => { this._nbr[i * D + d] = latticeCell(q, r, v); });
+        topology.ring.forEach((v, k) => { this._ring[i * R + k] = latticeCell(q, r, v); });
+      }
     }
-    this.dirty.clear();
 
-    // Remove house tiles from edge cells (houses need 8 neighbours inside grid)
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        if (x === 0 || y === 0 || x === this.width - 1 || y === this.height - 1) {
-          this._removeHouseTiles(this._idx(x, y));
-        }
+    // Tiles allowed on each side of each tile, as lists (support updates)
+    // and masks (support counts): `_compat[d][t]`, mask at `(d * n + t) * W`
+    this._compat = topology.vectors.map((_, d) => {
+      if (!ruleset.axes) return ruleset.compatible;
+      // Side d is an axis's "after" side, or its opposite (the "before" side)
+      for (const [axis, side] of Object.entries(topology.axes)) {
+        if ((side === d || (side ^ 1) === d) && ruleset.axes[axis]) return ruleset.axes[axis][side === d ? 0 : 1];
+      }
+      throw new Error(`Ruleset "${ruleset.id}" has no neighbour rules for ${topology.name.toLowerCase()} grids`);
+    });
+    this._weightLogWeight = ruleset.weights.map(w => w * Math.log(w));
+    this._compatMask = new Uint32Array(D * n * W);
+    this._compat.forEach((lists, d) => lists.forEach((list, t) => {
+      for (const u of list) this._compatMask[(d * n + t) * W + (u >> 5)] |= 1 << (u & 31);
+    }));
+
+    this._fullMask = new Uint32Array(W);
+    for (let t = 0; t < n; t++) this._fullMask[t >> 5] |= 1 << (t & 31);
+
+    // Terrain masks for the house rules
+    const terrainIds = [...ruleset.terrains.keys()];
+    this._terrainOf = Int32Array.from(ruleset.tiles, tile => terrainIds.indexOf(tile.terrain));
+    this._terrainMask = new Uint32Array(terrainIds.length * W);
+    this._terrainOf.forEach((k, t) => { this._terrainMask[k * W + (t >> 5)] |= 1 << (t & 31); });
+    this._uniformTerrains = Int32Array.from(ruleset.uniformTerrains, id => terrainIds.indexOf(id));
+    this._houseMask = new Uint32Array(W);
+    for (const t of ruleset.uniformTiles) this._houseMask[t >> 5] |= 1 << (t & 31);
+    this._hasHouses = ruleset.uniformTiles.length > 0;
+    // Doors: which ring cells lie on a side of the house (-1 for the others)
+    // and the channel tiles that may stand there instead of the ring terrain
+    this._ringSide = Int8Array.from(topology.ring, ([dq, dr]) =>
+      topology.vectors.findIndex(([vq, vr]) => vq === dq && vr === dr));
+    this._doorMask = new Uint32Array(D * W);
+    this._isDoor = new Uint8Array(n);
+    (ruleset.doorTiles ?? []).forEach((list, d) => {
+      if (d >= D) return;
+      for (const t of list) {
+        this._doorMask[d * W + (t >> 5)] |= 1 << (t & 31);
+        this._isDoor[t] = 1;
       }
+    });
+
+    // Global constraints: member tiles (the constraint's terrain), path tiles
+    // (members, plus `over` for a connected one) and bounds in cells
+    const K = this.globalConstraints.length;
+    this._hasGlobals = K > 0;
+    this._globalMember = new Uint32Array(K * W);
+    this._globalPath = new Uint32Array(K * W);
+    this._globalConnected = new Uint8Array(K);
+    this._globalMin = new Int32Array(K);
+    this._globalMax = new Int32Array(K);
+    this.globalConstraints.forEach((c, k) => {
+      const mark = (mask, ids) => ruleset.tiles.forEach((tile, t) => {
+        if (ids.includes(tile.terrain)) mask[k * W + (t >> 5)] |= 1 << (t & 31);
+      });
+      mark(this._globalMember, c.terrain);
+      mark(this._globalPath, c.terrain);
+      if (c.type === "connected") {
+        mark(this._globalPath, c.over);
+        this._globalConnected[k] = 1;
+        this._globalMax[k] = size;
+      } else if (c.type === "coverage") {
+        this._globalMin[k] = Math.ceil(c.min * size - 1e-9);
+        this._globalMax[k] = Math.floor(c.max * size + 1e-9);
+      } else {
+        this._globalMin[k] = c.min;
+        this._globalMax[k] = c.max ?? size;
+      }
+    });
+
+    /**
+     * Per global constraint: cells that may still be on its path, cells that
+     * surely are its terrain, and the last cell to leave the path / become
+     * sure (where a broken bound is reported).
+     */
+    this._globalPossible = new Int32Array(K);
+    this._globalSure = new Int32Array(K);
+    this._globalLost = new Int32Array(K);
+    this._globalLastSure = new Int32Array(K);
+    this._globalBefore = new Uint8Array(K);
+    this._globalQueue = [];
+    this._globalQueued = new Uint8Array(K);
+    this._component = this._globalConnected.includes(1) ? new Uint8Array(size) : null;
+
+    // The house ring in walking order (consecutive cells touch), marking
+    // which are neighbours, for the connected constraints' cut test
+    this._ringWalk = null;
+    if (width >= 3 && height >= 3) {
+      const [x0, y0] = topology.centre(0, 0);
+      const angle = ([dq, dr]) => {
+        const [x, y] = topology.centre(...topology.fromLattice(dq, dr));
+        return Math.atan2(y - y0, x - x0);
+      };
+      const order = topology.ring.map((v, j) => j).sort((a, b) => angle(topology.ring[a]) - angle(topology.ring[b]));
+      this._ringWalk = Int32Array.from(order);
+      this._ringIsSide = Uint8Array.from(order, j => topology.vectors.some(([dq, dr]) =>
+        dq === topology.ring[j][0] && dr === topology.ring[j][1]));
     }
+
+    /**
+     * AC-4 supports: `_support[(idx * D + d) * nTiles + t]` is how many tiles
+     * of the neighbour on side d are compatible with tile t.  Kept in
+     * step with `wave` at all times; a tile is removed when any of its
+     * supports reaches zero.
+     */
+    this._support = new Int16Array(size * D * n);
+
+    /** Removals waiting to happen: `idx * nTiles + tile` with a zero support. */
+    this._queue = [];
+
+    /** Provenance of every removal (see CAUSES), and the last removal per cell. */
+    this._cause = new Int32Array(size * n);
+    this._causeKind = new Uint8Array(size * n);
+    this._lastBan = new Int16Array(size);
+
+    /** Cells whose house rules need re-checking (flagged to avoid duplicates). */
+    this._houseQueue = [];
+    this._houseQueued = new Uint8Array(size);
+
+    /** Cells changed since the last `_flushChanged()`. */
+    this._changed = new Set();
+
+    /** Lazy min-heap of un-collapsed cells keyed by entropy; stale entries are skipped. */
+    this._heapKeys = [];
+    this._heapCells = [];
+    this._noise = new Float64Array(size);
+    this._viable = new Uint32Array(W);
+  }
+
+  reset() {
+    // Re-seed so a reset grid replays the exact same sequence
+    this.random = this._customRandom || createRng(this.seed);
+
+    for (let i = 0; i < this.size; i++) {
+      this.wave.set(this._fullMask, i * this.waveWords);
+      this._noise[i] = cellNoise(this.seed ?? 0, i);
+    }
+    this.backtracks = 0;
+    this._trail = null;
+    this.constraints.clear();
+    this._causeKind.fill(CAUSE_UNKNOWN);
+    this._lastBan.fill(-1);
+    this._globalLost.fill(-1);
+    this._globalLastSure.fill(-1);
+
+    /** Global constraint the last contradiction broke, or -1 (an empty cell). */
+    this._violated = -1;
+
+    // Settling removes house (uniform-neighbour) tiles from edge cells that
+    // don't wrap – houses need their whole ring inside the grid
+    this._rebuild();
+    this._settle();
+    this.dirty.clear();
   }
 
   _idx(x, y) { return y * this.width + x; }
+
+  /** Index of the cell at (x, y), wrapping where enabled; -1 when outside. */
+  _cellAt(x, y) {
+    if (this.wrapX) x = (x + this.width) % this.width;
+    if (this.wrapY) y = (y + this.height) % this.height;
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return -1;
+    return this._idx(x, y);
+  }
   _xy(idx) { return [idx % this.width, Math.floor(idx / this.width)]; }
 
-  _removeHouseTiles(idx) {
-    for (let i = 0; i < N_TILES; i++) {
-      if (ALL_TILES[i].terrain === "house") {
-        bitsClear(this.wave[idx], i);
+  /** True when tile t is still possible in cell idx. */
+  _has(idx, t) {
+    return (this.wave[idx * this.waveWords + (t >> 5)] >>> (t & 31)) & 1;
+  }
+
+  /** Tile indices still possible in cell idx, in ascending order. */
+  _tilesOf(idx) {
+    const W = this.waveWords;
+    const out = [];
+    for (let w = 0; w < W; w++) {
+      for (let bits = this.wave[idx * W + w]; bits !== 0; bits &= bits - 1) {
+        out.push(w * 32 + lowestBit(bits));
       }
     }
+    return out;
   }
 
-  /** Cardinal neighbours of cell idx. */
-  _cardinalNeighbours(idx) {
-    const [x, y] = this._xy(idx);
-    const ns = [];
-    if (x > 0) ns.push(this._idx(x - 1, y));
-    if (x < this.width - 1) ns.push(this._idx(x + 1, y));
-    if (y > 0) ns.push(this._idx(x, y - 1));
-    if (y < this.height - 1) ns.push(this._idx(x, y + 1));
-    return ns;
+  /**
+   * Recompute counts, collapsed tiles, supports and the entropy heap from
+   * `wave` alone (after a reset or load).
+   */
+  _rebuild() {
+    const { size, nTiles: n, waveWords: W, wave, counts, _support: support, _compatMask: compat, _sides: D } = this;
+    for (let i = 0; i < size; i++) {
+      let c = 0;
+      for (let w = 0; w < W; w++) c += popcount(wave[i * W + w]);
+      counts[i] = c;
+      this.collapsed[i] = c === 1 ? this._tilesOf(i)[0] : -1;
+    }
+    for (let i = 0; i < size; i++) {
+      for (let d = 0; d < D; d++) {
+        const nb = this._nbr[i * D + d];
+        if (nb < 0) continue;
+        const base = (i * D + d) * n;
+        if (counts[nb] === n) {
+          // Untouched neighbour (most of a fresh grid): every listed tile counts
+          for (let t = 0; t < n; t++) support[base + t] = this._compat[d][t].length;
+          continue;
+        }
+        for (let t = 0; t < n; t++) {
+          let s = 0;
+          for (let w = 0; w < W; w++) s += popcount(wave[nb * W + w] & compat[(d * n + t) * W + w]);
+          support[base + t] = s;
+        }
+      }
+    }
+    this._globalPossible.fill(0);
+    this._globalSure.fill(0);
+    for (let k = 0; k < this.globalConstraints.length; k++) {
+      for (let i = 0; i < size; i++) {
+        const status = this._globalStatus(i, k);
+        this._globalPossible[k] += status & 1;
+        this._globalSure[k] += status >> 1;
+      }
+    }
+    this._heapRebuild();
   }
 
-  /** All 8 neighbours. */
-  _allNeighbours(idx) {
-    const [x, y] = this._xy(idx);
-    const ns = [];
-    for (let dy = -1; dy <= 1; dy++) {
-      for (let dx = -1; dx <= 1; dx++) {
-        if (dx === 0 && dy === 0) continue;
-        const nx = x + dx, ny = y + dy;
-        if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-          ns.push(this._idx(nx, ny));
+  /**
+   * Bring a freshly built wave to a consistent state: queue every tile that
+   * lacks support, re-check every possible house and global constraint,
+   * then propagate.
+   */
+  _settle() {
+    const { size, nTiles: n, _sides: D } = this;
+    this._contradiction = -1;
+    for (let i = 0; i < size; i++) {
+      for (const t of this._tilesOf(i)) {
+        for (let d = 0; d < D; d++) {
+          if (this._nbr[i * D + d] >= 0 && this._support[(i * D + d) * n + t] === 0) {
+            this._queue.push(i * n + t);
+            this._cause[i * n + t] = -1;
+            this._causeKind[i * n + t] = CAUSE_ADJACENCY;
+            break;
+          }
         }
       }
+      if (this._hasHouses && this._hasHouse(i)) this._queueHouse(i);
     }
-    return ns;
+    for (let k = 0; k < this.globalConstraints.length; k++) this._queueGlobal(k);
+    this._propagate();
   }
 
   // ── Entropy & selection ─────────────────────────────────────────────────
 
-  /** Pick the un-collapsed cell with lowest entropy (ties broken randomly). */
-  _pickLowestEntropy() {
-    let best = Infinity;
-    let candidates = [];
-    for (let i = 0; i < this.size; i++) {
-      if (this.collapsed[i] !== -1) continue;
-      const c = bitsCount(this.wave[i]);
-      if (c === 0) return -1; // contradiction
-      if (c < best) {
-        best = c;
-        candidates = [i];
-      } else if (c === best) {
-        candidates.push(i);
+  /** Heap key from the heuristic; empty cells always come first. */
+  _key(idx) {
+    return this.counts[idx] === 0 ? -Infinity : this.heuristic.key(this, idx);
+  }
+
+  _heapPush(idx) {
+    const keys = this._heapKeys, cells = this._heapCells;
+    const key = this._key(idx);
+    let i = keys.length;
+    keys.push(key);
+    cells.push(idx);
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (keys[p] < key || (keys[p] === key && cells[p] < idx)) break;
+      keys[i] = keys[p];
+      cells[i] = cells[p];
+      i = p;
+    }
+    keys[i] = key;
+    cells[i] = idx;
+  }
+
+  _heapPop() {
+    const keys = this._heapKeys, cells = this._heapCells;
+    const key = keys.pop(), idx = cells.pop();
+    const len = keys.length;
+    if (len === 0) return;
+    let i = 0;
+    while (true) {
+      let m = 2 * i + 1;
+      if (m >= len) break;
+      if (m + 1 < len && (keys[m + 1] < keys[m] || (keys[m + 1] === keys[m] && cells[m + 1] < cells[m]))) m++;
+      if (key < keys[m] || (key === keys[m] && idx < cells[m])) break;
+      keys[i] = keys[m];
+      cells[i] = cells[m];
+      i = m;
+    }
+    keys[i] = key;
+    cells[i] = idx;
+  }
+
+  _heapRebuild() {
+    this._heapKeys = [];
+    this._heapCells = [];
+    for (let i = 0; i < this.size; i++) if (this.collapsed[i] === -1) this._heapPush(i);
+  }
+
+  /**
+   * Pick the un-collapsed cell the heuristic ranks first.  Returns -1 if a
+   * cell has no options left, -2 when every cell is collapsed.
+   */
+  _pickNext() {
+    if (this._heapCells.length > 4 * this.size + 64) this._heapRebuild();
+    const keys = this._heapKeys, cells = this._heapCells;
+    while (cells.length > 0) {
+      const idx = cells[0];
+      if (this.collapsed[idx] === -1 && keys[0] === this._key(idx)) {
+        if (this.counts[idx] > 0) return idx;
+        // Emptied earlier (e.g. a grid saved after a contradiction)
+        this._contradiction = idx;
+        this._violated = -1;
+        return -1;
       }
+      this._heapPop();
     }
-    if (candidates.length === 0) return -2; // all collapsed
-    return candidates[Math.floor(Math.random() * candidates.length)];
+    return -2;
+  }
+
+  /** Re-key every cell changed since the last flush; returns those cells. */
+  _flushChanged() {
+    const changed = this._changed;
+    for (const idx of changed) if (this.collapsed[idx] === -1) this._heapPush(idx);
+    this._changed = new Set();
+    return changed;
   }
 
   // ── Collapse ────────────────────────────────────────────────────────────
 
   /**
    * Collapse a cell to one of its remaining options (weighted random).
-   * Weights bias toward more "interesting" terrain variation.
+   * Weights come from the ruleset and bias toward more "interesting"
+   * terrain variation.
    */
   _collapseCell(idx) {
-    const options = [];
-    bitsForEach(this.wave[idx], i => options.push(i));
+    const options = this._tilesOf(idx);
     if (options.length === 0) return false; // contradiction
 
-    // Weight assignment: give varied weights to encourage variety
-    const weights = options.map(i => {
-      const t = ALL_TILES[i];
-      if (t.terrain === "sea") return 6;
-      if (t.terrain === "ground") return 8 - t.z;  // z0=8, z1=7 … z5=3
-      if (t.terrain === "mountain") return 2 + (10 - t.z) * 0.3;
-      if (t.terrain === "house") return 0.6;
-      return 1;
-    });
+    const weights = this._collapseWeights(options);
 
     const total = weights.reduce((a, b) => a + b, 0);
-    let r = Math.random() * total;
+    let r = this.random() * total;
     let chosen = options[0];
     for (let k = 0; k < options.length; k++) {
       r -= weights[k];
       if (r <= 0) { chosen = options[k]; break; }
     }
 
-    // Set wave to only the chosen tile
-    this.wave[idx] = bitsNew();
-    bitsSet(this.wave[idx], chosen);
-    this.collapsed[idx] = chosen;
-    this.dirty.add(idx);
+    // Remove every other option; `_propagate` takes it from there
+    const cause = idx * this.nTiles + chosen;
+    for (const t of options) if (t !== chosen) this._ban(idx, t, CAUSE_COLLAPSE, cause);
     return true;
   }
 
+  /**
+   * Collapse weights of some options: the ruleset's, scaled up or down for
+   * each coverage or count constraint whose terrain they are (see `_steer`).
+   */
+  _collapseWeights(options) {
+    const weights = options.map(t => this.ruleset.weights[t]);
+    const W = this.waveWords;
+    for (let k = 0; k < this.globalConstraints.length; k++) {
+      const factor = this._globalConnected[k] ? 1 : this._steer(k);
+      if (factor === 1) continue;
+      options.forEach((t, j) => {
+        if ((this._globalMember[k * W + (t >> 5)] >>> (t & 31)) & 1) weights[j] *= factor;
+      });
+    }
+    return weights;
+  }
+
+  /**
+   * Weight factor for an amount constraint's tiles.  The cells still open
+   * are assumed to turn out like the decided ones so far; if that would
+   * end outside the bounds, its tiles get likelier or less likely by the
+   * square of how far the result would be from the middle of the range
+   * (or from the minimum, with no maximum), within MAX_STEER.
+   */
+  _steer(k) {
+    const sure = this._globalSure[k];
+    const open = this._globalPossible[k] - sure;
+    const decided = this.size - open;
+    if (open === 0 || decided < STEER_AFTER * this.size) return 1;
+    const projected = sure + open * sure / decided;
+    const min = this._globalMin[k], max = this._globalMax[k];
+    if (projected >= min && projected <= max) return 1;
+    const target = max < this.size ? (min + max) / 2 : min;
+    const off = target / Math.max(projected, 1);
+    return Math.min(MAX_STEER, Math.max(1 / MAX_STEER, off * off));
+  }
+
   // ── Constraint propagation ──────────────────────────────────────────────
 
   /**
-   * Propagate constraints from a set of recently-changed cells.
+   * Remove tile t (which must still be possible) from a cell: update its
+   * count, the supports of its neighbours and queue the follow-up work.
+   * Sets `this._contradiction` when the cell runs out of options.
+   *
+   * `kind` and `cause` record why (see CAUSES); queued adjacency removals
+   * had theirs recorded when they were queued and pass neither.
+   */
+  _ban(idx, t, kind, cause = -1) {
+    const { nTiles: n, waveWords: W, wave, _support: support, _nbr: nbr, _queue: queue, _sides: D } = this;
+    if (this._hasGlobals) this._globalStatuses(idx);
+    wave[idx * W + (t >> 5)] &= ~(1 << (t & 31));
+    if (this._trail) this._trail.push(idx * n + t);
+    if (kind !== undefined) {
+      this._cause[idx * n + t] = cause;
+      this._causeKind[idx * n + t] = kind;
+    }
+    this._lastBan[idx] = t;
+
+    const count = --this.counts[idx];
+    if (count === 1) {
+      this.collapsed[idx] = this._tilesOf(idx)[0];
+    } else if (count === 0) {
+      this.collapsed[idx] = -1;
+      this._contradiction = idx;
+      this._violated = -1;
+    }
+    this.dirty.add(idx);
+    this._changed.add(idx);
+
+    // Each neighbour's tiles that were compatible with t lose one support
+    for (let d = 0; d < D; d++) {
+      const nb = nbr[idx * D + d];
+      if (nb < 0) continue;
+      const compat = this._compat[d][t];
+      const base = (nb * D + (d ^ 1)) * n;
+      for (let k = 0; k < compat.length; k++) {
+        const u = compat[k];
+        if (--support[base + u] === 0 && (wave[nb * W + (u >> 5)] >>> (u & 31)) & 1) {
+          queue.push(nb * n + u);
+          this._cause[nb * n + u] = idx * n + t;
+          this._causeKind[nb * n + u] = CAUSE_ADJACENCY;
+        }
+      }
+    }
+
+    if (this._hasHouses) this._queueHouseChecks(idx, t);
+    if (this._hasGlobals) this._globalsChanged(idx, true);
+  }
+
+  /** Put a removed tile back (undo), restoring its neighbours' supports. */
+  _restore(idx, t) {
+    const { nTiles: n, waveWords: W, _support: support, _nbr: nbr, _sides: D } = this;
+    if (this._hasGlobals) this._globalStatuses(idx);
+    this.wave[idx * W + (t >> 5)] |= 1 << (t & 31);
+    const count = ++this.counts[idx];
+    this.collapsed[idx] = count === 1 ? t : -1;
+
+    for (let d = 0; d < D; d++) {
+      const nb = nbr[idx * D + d];
+      if (nb < 0) continue;
+      const compat = this._compat[d][t];
+      const base = (nb * D + (d ^ 1)) * n;
+      for (let k = 0; k < compat.length; k++) support[base + compat[k]]++;
+    }
+    if (this._hasGlobals) this._globalsChanged(idx, false);
+  }
+
+  /**
+   * Work through queued removals, house checks and global-constraint
+   * checks until nothing is left or a wave becomes empty (or a global
+   * constraint breaks), leaving the cell in `this._contradiction`.
    * Returns the set of cells whose wave changed (for animation).
    */
-  _propagate(seeds) {
-    const stack = [...seeds];
-    const changed = new Set(seeds);
+  _propagate() {
+    const { nTiles: n, _queue: queue, _houseQueue: houseQueue, _globalQueue: globalQueue } = this;
+    while (this._contradiction === -1) {
+      if (queue.length > 0) {
+        const entry = queue.pop();
+        const idx = Math.floor(entry / n), t = entry - idx * n;
+        if (this._has(idx, t)) this._ban(idx, t);
+      } else if (houseQueue.length > 0) {
+        const idx = houseQueue.pop();
+        this._houseQueued[idx] = 0;
+        this._checkHouse(idx);
+      } else if (globalQueue.length > 0) {
+        const k = globalQueue.pop();
+        this._globalQueued[k] = 0;
+        this._checkGlobal(k);
+      } else {
+        break;
+      }
+    }
+    if (this._contradiction !== -1) this._clearQueues();
+    return this._flushChanged();
+  }
 
-    while (stack.length > 0) {
-      const current = stack.pop();
-
-      // ── Cardinal adjacency constraints ──
-      const cardinalNs = this._cardinalNeighbours(current);
-      for (const nIdx of cardinalNs) {
-        if (this.collapsed[nIdx] !== -1) continue;
-
-        const before = bitsClone(this.wave[nIdx]);
-
-        // The neighbour can only keep tiles compatible with ALL possibilities of current
-        const newWave = bitsNew();
-        bitsForEach(this.wave[nIdx], nTile => {
-          let ok = false;
-          bitsForEach(this.wave[current], cTile => {
-            if (CARDINAL_ALLOWED[cTile].has(nTile)) ok = true;
-          });
-          if (ok) bitsSet(newWave, nTile);
-        });
-
-        this._enforceHouseConstraints(nIdx, newWave);
-
-        if (!bitsEqual(before, newWave)) {
-          this.wave[nIdx] = newWave;
-          this.dirty.add(nIdx);
-          changed.add(nIdx);
-          if (bitsCount(newWave) === 1) {
-            bitsForEach(newWave, t => { this.collapsed[nIdx] = t; });
-          }
-          stack.push(nIdx);
-        }
+  /** Drop pending work after a contradiction (supports are already up to date). */
+  _clearQueues() {
+    this._queue.length = 0;
+    for (const idx of this._houseQueue) this._houseQueued[idx] = 0;
+    this._houseQueue.length = 0;
+    this._globalQueued.fill(0);
+    this._globalQueue.length = 0;
+  }
+
+  // ── House (uniform-neighbour) rules ─────────────────────────────────────
+
+  _hasHouse(idx) {
+    const W = this.waveWords;
+    for (let w = 0; w < W; w++) if (this.wave[idx * W + w] & this._houseMask[w]) return true;
+    return false;
+  }
+
+  /** True when every option left in the cell is a house tile. */
+  _onlyHouseTiles(idx) {
+    const W = this.waveWords;
+    for (let w = 0; w < W; w++) if (this.wave[idx * W + w] & ~this._houseMask[w]) return false;
+    return this.counts[idx] > 0;
+  }
+
+  _queueHouse(idx) {
+    if (this._houseQueued[idx]) return;
+    this._houseQueued[idx] = 1;
+    this._houseQueue.push(idx);
+  }
+
+  /** After removing tile t from idx, queue the house checks it may affect. */
+  _queueHouseChecks(idx, t) {
+    const W = this.waveWords;
+
+    // A house only cares which terrains its neighbours can still be
+    const k = this._terrainOf[t] * W;
+    let lost = true;
+    for (let w = 0; w < W; w++) {
+      if (this.wave[idx * W + w] & this._terrainMask[k + w]) { lost = false; break; }
+    }
+    if (lost || this._isDoor[t]) {
+      const R = this._ringSize;
+      for (let j = idx * R; j < idx * R + R; j++) {
+        const r = this._ring[j];
+        if (r >= 0 && this._hasHouse(r)) this._queueHouse(r);
       }
+    }
+
+    // A cell that can now only be a house pins its neighbours
+    if (this._hasHouse(idx) && this._onlyHouseTiles(idx)) this._queueHouse(idx);
+  }
 
-      // ── All-8-neighbour house constraint propagation ──
-      // When a cell changes, any of its 8 neighbours that still have
-      // house tiles must be re-checked (diagonals matter for houses).
-      const allNs = this._allNeighbours(current);
-      for (const nIdx of allNs) {
-        if (this.collapsed[nIdx] !== -1) continue;
+  /**
+   * Enforce the house constraints on one cell (any terrain the ruleset
+   * marks with `uniformNeighbours`):
+   * - House needs its whole ring (8 neighbours on a square grid, 6 on a
+   *   hex grid) inside the grid – no edge placement, except across wrapped
+   *   edges
+   * - All ring cells must BE the same terrain type, so some terrain must
+   *   still be possible in every one of them – else the house goes.  A
+   *   cell on a side of the house may be a door instead: a channel tile
+   *   the house accepts, ending against it (`doorTiles`).
+   * - Once a cell can only be a house, its ring may only become terrains
+   *   they can all share, or doors.
+   */
+  _checkHouse(idx) {
+    if (!this._hasHouse(idx)) return;
+    const { waveWords: W, wave, _ring: ring, _ringSize: R, _terrainMask: terrainMask } = this;
+    const { _ringSide: ringSide, _doorMask: door } = this;
+
+    const viable = this._viable.fill(0);
+    let any = false;
+    for (const k of this._uniformTerrains) {
+      let ok = true;
+      for (let j = 0; j < R && ok; j++) {
+        const r = ring[idx * R + j], d = ringSide[j];
+        ok = false;
+        if (r < 0) break;
+        for (let w = 0; w < W; w++) {
+          const allowed = terrainMask[k * W + w] | (d >= 0 ? door[d * W + w] : 0);
+          if (wave[r * W + w] & allowed) { ok = true; break; }
+        }
+      }
+      if (!ok) continue;
+      any = true;
+      for (let w = 0; w < W; w++) viable[w] |= terrainMask[k * W + w];
+    }
 
-        const before = bitsClone(this.wave[nIdx]);
-        this._enforceHouseConstraints(nIdx, this.wave[nIdx]);
+    if (!any) {
+      for (const t of this.ruleset.uniformTiles) {
+        if (this._has(idx, t)) this._ban(idx, t, CAUSE_HOUSE_RING);
+        if (this._contradiction !== -1) return;
+      }
+      return;
+    }
 
-        if (!bitsEqual(before, this.wave[nIdx])) {
-          this.dirty.add(nIdx);
-          changed.add(nIdx);
-          if (bitsCount(this.wave[nIdx]) === 1) {
-            bitsForEach(this.wave[nIdx], t => { this.collapsed[nIdx] = t; });
-          }
-          stack.push(nIdx);
+    if (!this._onlyHouseTiles(idx)) return;
+    const cause = idx * this.nTiles + this._tilesOf(idx)[0];
+    for (let j = 0; j < R; j++) {
+      const r = ring[idx * R + j], d = ringSide[j];
+      for (let w = 0; w < W; w++) {
+        const allowed = viable[w] | (d >= 0 ? door[d * W + w] : 0);
+        for (let bits = wave[r * W + w] & ~allowed; bits !== 0; bits &= bits - 1) {
+          this._ban(r, w * 32 + lowestBit(bits), CAUSE_HOUSE_PIN, cause);
+          if (this._contradiction !== -1) return;
         }
       }
     }
+  }
 
-    return changed;
+  // ── Global constraints ──────────────────────────────────────────────────
+
+  /**
+   * A cell's standing with global constraint k: bit 0 set when it may still
+   * be on the constraint's path, bit 1 when it can only be its terrain.
+   */
+  _globalStatus(idx, k) {
+    const { waveWords: W, wave, _globalMember: member, _globalPath: path } = this;
+    let inside = 0, outside = 0, onPath = 0;
+    for (let w = 0; w < W; w++) {
+      const bits = wave[idx * W + w];
+      inside |= bits & member[k * W + w];
+      outside |= bits & ~member[k * W + w];
+      onPath |= bits & path[k * W + w];
+    }
+    return (onPath ? 1 : 0) | (inside && !outside ? 2 : 0);
+  }
+
+  /** Note a cell's standing with every global constraint before its wave changes. */
+  _globalStatuses(idx) {
+    for (let k = 0; k < this.globalConstraints.length; k++) this._globalBefore[k] = this._globalStatus(idx, k);
   }
 
   /**
-   * Enforce extra house constraints:
-   * - House needs all 8 neighbours inside the grid (no edge placement)
-   * - All 8 adjacent cells must BE the same terrain type.
-   *   Collapsed neighbours must already match; uncollapsed neighbours
-   *   must still be able to become that type.
+   * Update the global counts after cell idx's wave changed (`_globalStatuses`
+   * holds its standing from before).  After a removal, queue the checks it
+   * calls for: an amount constraint at one of its bounds, a connected one
+   * whose path may have been cut or that has just got its first sure cell.
    */
-  _enforceHouseConstraints(idx, wave) {
-    const [x, y] = this._xy(idx);
-    const atEdge = x === 0 || y === 0 || x === this.width - 1 || y === this.height - 1;
-
-    for (let t = 0; t < N_TILES; t++) {
-      if (!bitsHas(wave, t)) continue;
-      if (ALL_TILES[t].terrain !== "house") continue;
-
-      // Must not be on edge
-      if (atEdge) { bitsClear(wave, t); continue; }
-
-      const allNeigh = this._allNeighbours(idx);
-
-      // Determine which terrain types are still viable for uniformity.
-      // A terrain is viable only if every collapsed neighbour IS that
-      // terrain and every uncollapsed neighbour CAN still be it.
-      const candidateTerrains = ["sea", "ground", "mountain"];
-      let foundUniform = false;
-
-      for (const terrain of candidateTerrains) {
-        let allMatch = true;
-        for (const nIdx of allNeigh) {
-          if (this.collapsed[nIdx] !== -1) {
-            // Already decided – must actually be this terrain
-            if (ALL_TILES[this.collapsed[nIdx]].terrain !== terrain) {
-              allMatch = false;
-              break;
-            }
-          } else {
-            // Still in superposition – must have at least one option of this terrain
-            let canBe = false;
-            bitsForEach(this.wave[nIdx], nt => {
-              if (ALL_TILES[nt].terrain === terrain) canBe = true;
-            });
-            if (!canBe) { allMatch = false; break; }
-          }
+  _globalsChanged(idx, removed) {
+    for (let k = 0; k < this.globalConstraints.length; k++) {
+      const before = this._globalBefore[k], after = this._globalStatus(idx, k);
+      if (before === after) continue;
+      this._globalPossible[k] += (after & 1) - (before & 1);
+      this._globalSure[k] += (after >> 1) - (before >> 1);
+      if (!removed) continue;
+
+      const lost = (before & 1) && !(after & 1);
+      const gained = !(before & 2) && (after & 2);
+      if (lost) this._globalLost[k] = idx;
+      if (gained) this._globalLastSure[k] = idx;
+      if (this._globalConnected[k]) {
+        if ((lost && this._globalSure[k] > 0 && !this._ringConnected(idx, k)) ||
+            (gained && this._globalSure[k] === 1)) this._queueGlobal(k);
+      } else if (this._globalPossible[k] <= this._globalMin[k] || this._globalSure[k] >= this._globalMax[k]) {
+        this._queueGlobal(k);
+      }
+    }
+  }
+
+  _queueGlobal(k) {
+    if (this._globalQueued[k]) return;
+    this._globalQueued[k] = 1;
+    this._globalQueue.push(k);
+  }
+
+  /** True when cell idx may still be on global constraint k's path. */
+  _onPath(idx, k) {
+    const W = this.waveWords;
+    if (idx < 0) return false;
+    for (let w = 0; w < W; w++) if (this.wave[idx * W + w] & this._globalPath[k * W + w]) return true;
+    return false;
+  }
+
+  /**
+   * Cut test for a connected constraint after cell idx left its path: are
+   * idx's neighbours on the path all in one unbroken run of path cells
+   * around its ring?  Then they still reach each other and nothing was cut;
+   * otherwise only a flood fill can tell.
+   */
+  _ringConnected(idx, k) {
+    if (!this._ringWalk) return false;
+    const R = this._ringSize, walk = this._ringWalk;
+    const at = j => this._ring[idx * R + walk[j % R]];
+
+    // Start just after a cell off the path; a ring all on it is connected
+    let start = 0;
+    while (start < R && this._onPath(at(start), k)) start++;
+    if (start === R) return true;
+
+    let runs = 0, inRun = false, counted = false;
+    for (let j = start + 1; j <= start + R; j++) {
+      if (!this._onPath(at(j), k)) { inRun = false; continue; }
+      if (!inRun) { inRun = true; counted = false; }
+      if (this._ringIsSide[j % R] && !counted) {
+        counted = true;
+        if (++runs > 1) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Enforce global constraint k.  An amount constraint past a bound breaks;
+   * at its minimum every open cell must become the terrain, at its maximum
+   * none may.  A connected constraint floods its path from one sure cell:
+   * a sure cell left outside breaks it, and every other cell outside loses
+   * the terrain.
+   */
+  _checkGlobal(k) {
+    if (this._globalConnected[k]) {
+      this._checkConnected(k);
+      return;
+    }
+    const possible = this._globalPossible[k], sure = this._globalSure[k];
+    const min = this._globalMin[k], max = this._globalMax[k];
+    if (possible < min || sure > max) {
+      this._violate(k, possible < min ? this._globalLost[k] : this._globalLastSure[k]);
+      return;
+    }
+    if (possible > min && sure < max) return;
+
+    const atMin = possible === min;
+    const { waveWords: W, wave, _globalMember: member } = this;
+    for (let i = 0; i < this.size; i++) {
+      if (this._globalStatus(i, k) !== 1) continue;
+      for (let w = 0; w < W; w++) {
+        const bits = wave[i * W + w] & (atMin ? ~member[k * W + w] : member[k * W + w]);
+        for (let b = bits; b !== 0; b &= b - 1) {
+          this._ban(i, w * 32 + lowestBit(b), CAUSE_GLOBAL, k * 4 + (atMin ? 0 : 1));
+          if (this._contradiction !== -1) return;
         }
-        if (allMatch) { foundUniform = true; break; }
       }
+    }
+  }
+
+  _checkConnected(k) {
+    if (this._globalSure[k] === 0) return;
+    const { size, _sides: D, _nbr: nbr, waveWords: W, wave, _globalMember: member } = this;
 
-      if (!foundUniform) { bitsClear(wave, t); }
+    let first = 0;
+    while (this._globalStatus(first, k) !== 3) first++;
+    const reached = this._component.fill(0);
+    const stack = [first];
+    reached[first] = 1;
+    while (stack.length > 0) {
+      const i = stack.pop();
+      for (let d = 0; d < D; d++) {
+        const nb = nbr[i * D + d];
+        if (nb >= 0 && !reached[nb] && this._onPath(nb, k)) {
+          reached[nb] = 1;
+          stack.push(nb);
+        }
+      }
+    }
+
+    for (let i = 0; i < size; i++) {
+      if (!reached[i] && this._globalStatus(i, k) & 2) {
+        this._violate(k, this._globalLost[k] >= 0 ? this._globalLost[k] : i);
+        return;
+      }
+    }
+    for (let i = 0; i < size; i++) {
+      if (reached[i]) continue;
+      for (let w = 0; w < W; w++) {
+        for (let b = wave[i * W + w] & member[k * W + w]; b !== 0; b &= b - 1) {
+          this._ban(i, w * 32 + lowestBit(b), CAUSE_GLOBAL, k * 4 + 2);
+          if (this._contradiction !== -1) return;
+        }
+      }
     }
   }
 
+  /** Report global constraint k broken at cell idx (or, failing that, the origin). */
+  _violate(k, idx) {
+    this._contradiction = idx >= 0 ? idx : this.origin;
+    this._violated = k;
+  }
+
+  // ── Constraints (pre-painting) ──────────────────────────────────────────
+
+  /**
+   * Restrict a cell to `allowedTiles` before `run()` and propagate at once.
+   * Entries are tile indices or `{ terrain, z }` objects; leaving out `z`
+   * allows every elevation of that terrain.  Repeated calls intersect.
+   *
+   * Returns `{ ok: true, changed }`, or `{ ok: false, idx, explanation }`
+   * when the request is impossible – `idx` is the cell that would run out
+   * of options, `explanation` says why (see `explainCell`; null when `idx`
+   * isn't a cell of the grid) and the grid is left exactly as it was.
+   *
+   * @param {number} idx
+   * @param {Array<number|{terrain: string, z?: number}>} allowedTiles
+   */
+  constrain(idx, allowedTiles) {
+    if (!Number.isInteger(idx) || idx < 0 || idx >= this.size) return { ok: false, idx, explanation: null };
+    const allowed = new Set(this._resolveTiles(allowedTiles));
+
+    // Borrow the undo trail so a failed request can be rolled back
+    const runTrail = this._trail;
+    this._trail = [];
+
+    this._contradiction = -1;
+    for (const t of this._tilesOf(idx)) {
+      if (!allowed.has(t)) this._ban(idx, t, CAUSE_PAINT);
+    }
+    const changed = this._propagate();
+    changed.add(idx);
+
+    const failed = this._contradiction;
+    let explanation = null;
+    if (failed !== -1) {
+      explanation = this.explainCell(failed);
+      this._undoTo(0);
+      this._contradiction = -1;
+    }
+    this._trail = runTrail;
+    if (failed !== -1) return { ok: false, idx: failed, explanation };
+
+    // Keep what was asked for, not what propagation left: neighbours' paint
+    // narrows the cell too, and must stop doing so once erased
+    const earlier = this.constraints.get(idx);
+    this.constraints.set(idx, [...allowed].filter(t => !earlier || earlier.includes(t)).sort((a, b) => a - b));
+    return { ok: true, changed };
+  }
+
+  /** Lock a cell to a single tile – shorthand for `constrain(idx, [tile])`. */
+  setTile(idx, tile) {
+    return this.constrain(idx, [tile]);
+  }
+
+  /**
+   * Drop the constraint on a cell, or on each of an array of cells.
+   * Propagation can't be undone piecemeal, so the grid is reset (once) and
+   * the remaining constraints re-applied.
+   *
+   * @param {number|Array<number>} cells
+   */
+  unconstrain(cells) {
+    const dropped = [].concat(cells).filter(idx => this.constraints.delete(idx));
+    if (dropped.length === 0) return;
+    const kept = [...this.constraints];
+    this.reset();
+    for (const [i, tiles] of kept) this.constrain(i, tiles);
+  }
+
+  /** Map tile indices / `{ terrain, z }` descriptors to tile indices. */
+  _resolveTiles(list) {
+    const out = [];
+    for (const t of list) {
+      if (typeof t === "number") {
+        if (t < 0 || t >= this.nTiles) throw new Error(`Unknown tile index ${t}`);
+        out.push(t);
+      } else if (t.z === undefined) {
+        const before = out.length;
+        this.ruleset.tiles.forEach((tile, i) => { if (tile.terrain === t.terrain) out.push(i); });
+        if (out.length === before) throw new Error(`Unknown terrain "${t.terrain}"`);
+      } else {
+        // Learned rulesets may have several tiles showing the same terrain:z
+        const before = out.length;
+        this.ruleset.tiles.forEach((tile, i) => { if (tile.terrain === t.terrain && tile.z === t.z) out.push(i); });
+        if (out.length === before) throw new Error(`Unknown tile ${t.terrain}:${t.z}`);
+      }
+    }
+    return out;
+  }
+
+  // ── Regenerating a region ───────────────────────────────────────────────
+
+  /**
+   * Put cells back into superposition so they can be generated again while
+   * the rest of the map stays as it is.  Each cell gets back every tile (a
+   * painted cell, its painted ones), then loses whatever the fixed cells
+   * around it rule out – their adjacency rules, house rings reaching in
+   * across the edge, global constraints.  A following `run` only fills in
+   * undecided cells, and its backtracking only undoes its own decisions,
+   * so nothing outside is ever changed.
+   *
+   * Draws once from the PRNG, so reopening the same cells again rolls
+   * differently (and still reproducibly).
+   *
+   * Returns `{ ok: true, changed }`, or `{ ok: false, idx }` when a cell is
+   * left without options – the map around the cells is broken there, e.g.
+   * by an earlier contradiction.
+   *
+   * @param {Iterable<number>} indices
+   */
+  reopen(indices) {
+    const { waveWords: W, nTiles: n, wave } = this;
+    const changed = new Set(indices);
+    for (const idx of changed) {
+      const painted = this.constraints.get(idx);
+      if (painted) {
+        wave.fill(0, idx * W, (idx + 1) * W);
+        for (const t of painted) wave[idx * W + (t >> 5)] |= 1 << (t & 31);
+      } else {
+        wave.set(this._fullMask, idx * W);
+      }
+      this._causeKind.fill(CAUSE_UNKNOWN, idx * n, (idx + 1) * n);
+      this._lastBan[idx] = -1;
+    }
+    this.random();
+    this._trail = null;
+    this._violated = -1;
+    this._rebuild();
+    this._settle();
+    for (const idx of changed) this.dirty.add(idx);
+    const failed = this._contradiction !== -1 ? this._contradiction : this.counts.indexOf(0);
+    if (failed !== -1) return { ok: false, idx: failed };
+    return { ok: true, changed };
+  }
+
+  // ── Backtracking ────────────────────────────────────────────────────────
+
+  /**
+   * Roll the trail back to `mark`, putting back every tile removed since.
+   * Returns the set of restored cell indices (for animation).
+   */
+  _undoTo(mark) {
+    const n = this.nTiles;
+    const restored = new Set();
+    while (this._trail.length > mark) {
+      const entry = this._trail.pop();
+      const idx = Math.floor(entry / n);
+      this._restore(idx, entry - idx * n);
+      restored.add(idx);
+    }
+    for (const idx of restored) {
+      this.dirty.add(idx);
+      if (this.collapsed[idx] === -1) this._heapPush(idx);
+    }
+    return restored;
+  }
+
+  /**
+   * Undo the most recent decision and ban the tile it chose.
+   * Returns the backtrack event, or null when there is nothing left to undo
+   * or the budget is spent.  A ban that itself empties a wave leaves the
+   * cell in `this._contradiction` so the caller backtracks again.
+   */
+  _backtrack(decisions) {
+    if (!this._trail || decisions.length === 0) return null;
+    if (this.backtracks >= this.maxBacktracks) return null;
+    this.backtracks++;
+
+    const { idx, tile, mark } = decisions.pop();
+    const restored = this._undoTo(mark);
+
+    // Ban the failed choice – this ban belongs to the previous decision,
+    // so it is recorded on the trail and undone with it.
+    this._contradiction = -1;
+    this._ban(idx, tile, CAUSE_BACKTRACK);
+    if (this._contradiction !== -1) {
+      this._clearQueues();
+      this._flushChanged();
+    }
+
+    return { type: "backtrack", idx, tile, restored };
+  }
+
   // ── Generator: step-by-step collapse for animation ──────────────────────
 
   /**
    * Yields events that the renderer can animate:
    *   { type: "collapse", idx, tile }
    *   { type: "propagate", changed: Set<idx> }
+   *   { type: "backtrack", idx, tile, restored: Set<idx> }
    *   { type: "done" }
    *   { type: "contradiction", idx }
    *
-   * @param {number} startIdx – The cell the user clicked
+   * With `maxBacktracks > 0` a contradiction undoes the latest collapse
+   * decision, bans the tile it chose and carries on; `contradiction` is only
+   * yielded once the budget is exhausted (or nothing is left to undo).
+   *
+   * Painted cells that are already collapsed are skipped; if the start
+   * cell is one of them (or omitted) the heuristic picks the first cell.
+   *
+   * @param {number} [startIdx] – The cell the user clicked
    */
   *run(startIdx) {
-    // 1. Collapse the starting cell
-    if (!this._collapseCell(startIdx)) {
-      yield { type: "contradiction", idx: startIdx };
-      return;
+    /** Collapse decisions in order: { idx, tile, mark } (mark = trail length). */
+    const decisions = [];
+    this.backtracks = 0;
+    this._trail = this.maxBacktracks > 0 ? [] : null;
+    if (startIdx !== undefined) this.origin = startIdx;
+    this._heapRebuild();
+
+    // Painting or loading may have left a global constraint at a bound, or
+    // past one
+    if (this._hasGlobals) {
+      this._contradiction = -1;
+      for (let k = 0; k < this.globalConstraints.length; k++) this._queueGlobal(k);
+      const changed = this._propagate();
+      if (changed.size > 0) yield { type: "propagate", changed };
+      if (this._contradiction !== -1) {
+        this._trail = null;
+        yield { type: "contradiction", idx: this._contradiction };
+        return;
+      }
     }
-    yield { type: "collapse", idx: startIdx, tile: this.collapsed[startIdx] };
 
-    // 2. Propagate from it
-    const firstChanged = this._propagate([startIdx]);
-    yield { type: "propagate", changed: new Set(firstChanged) };
-
-    // 3. Main loop
+    let next = startIdx !== undefined && this.collapsed[startIdx] === -1
+      ? startIdx
+      : this._pickNext();
     while (true) {
-      const next = this._pickLowestEntropy();
-      if (next === -2) { yield { type: "done" }; return; } // all done
-      if (next === -1) { yield { type: "contradiction", idx: -1 }; return; }
-
-      if (!this._collapseCell(next)) {
-        yield { type: "contradiction", idx: next };
+      if (next === -2) {
+        this._trail = null;
+        yield { type: "done" };
         return;
       }
-      yield { type: "collapse", idx: next, tile: this.collapsed[next] };
 
-      const changed = this._propagate([next]);
-      yield { type: "propagate", changed: new Set(changed) };
+      let failed = null;   // contradicting cell, or null
+
+      if (next === -1) {
+        failed = this._contradiction;
+      } else {
+        const mark = this._trail ? this._trail.length : 0;
+        this._contradiction = -1;
+        if (!this._collapseCell(next)) {
+          failed = next;
+        } else {
+          decisions.push({ idx: next, tile: this.collapsed[next], mark });
+          yield { type: "collapse", idx: next, tile: this.collapsed[next] };
+
+          const changed = this._propagate();
+          yield { type: "propagate", changed };
+          if (this._contradiction !== -1) failed = this._contradiction;
+        }
+      }
+
+      // Undo decisions until the wave is consistent again
+      while (failed !== null) {
+        const event = this._backtrack(decisions);
+        if (!event) {
+          this._trail = null;
+          yield { type: "contradiction", idx: failed };
+          return;
+        }
+        yield event;
+
+        failed = this._contradiction !== -1 ? this._contradiction : null;
+        if (failed === null) {
+          const changed = this._propagate();
+          yield { type: "propagate", changed };
+          if (this._contradiction !== -1) failed = this._contradiction;
+        }
+      }
+
+      next = this._pickNext();
+    }
+  }
+
+  // ── Save / load ─────────────────────────────────────────────────────────
+
+  /**
+   * Serialize the full grid state to a versioned, JSON-safe document:
+   *   { format, version, width, height, wrap, ruleset, seed, rng, maxBacktracks,
+   *     heuristic, origin, globalConstraints,
+   *     collapsed: [tile | -1],
+   *     wave: [hex bitset | null],   // null for collapsed cells
+   *     constraints: { idx: [tile] } }
+   * `rng` is the PRNG state, so a restored grid continues the same random
+   * sequence (null with a custom PRNG).
+   */
+  toJSON() {
+    const wave = new Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      wave[i] = this.collapsed[i] === -1 ? wordsToHex(this.wave, i * this.waveWords, this.nTiles) : null;
+    }
+    return {
+      format: SAVE_FORMAT,
+      version: SAVE_VERSION,
+      width: this.width,
+      height: this.height,
+      wrap: this.wrap,
+      topology: this.topology.id,
+      ruleset: this.ruleset.id,
+      seed: this.seed,
+      rng: this.random.getState ? this.random.getState() : null,
+      maxBacktracks: this.maxBacktracks,
+      heuristic: this.heuristic.id,
+      origin: this.origin,
+      globalConstraints: this.globalConstraints,
+      collapsed: Array.from(this.collapsed),
+      wave,
+      constraints: Object.fromEntries(this.constraints),
+    };
+  }
+
+  /**
+   * Rebuild a grid from a `toJSON()` document.  `run()` on the result resumes
+   * where the saved grid left off (earlier decisions can't be backtracked).
+   * Throws an Error if the document is malformed or was saved with a
+   * different ruleset.
+   *
+   * @param {object} doc
+   * @param {object} options
+   * @param {object} options.ruleset – compiled ruleset matching `doc.ruleset`
+   * @param {boolean} [options.repropagate=true] – re-run propagation over the
+   *        whole grid; only skip it for documents known to be consistent
+   */
+  static fromJSON(doc, options) {
+    if (!doc || doc.format !== SAVE_FORMAT) throw new Error("Not a saved grid");
+    if (doc.version !== SAVE_VERSION) throw new Error(`Unsupported save version ${doc.version}`);
+    const { ruleset } = options;
+    if (!ruleset || ruleset.id !== doc.ruleset) {
+      throw new Error(`Saved grid needs ruleset "${doc.ruleset}"`);
+    }
+    const { width, height } = doc;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+      throw new Error("Saved grid has an invalid size");
+    }
+    const size = width * height;
+    if (!Array.isArray(doc.collapsed) || doc.collapsed.length !== size ||
+        !Array.isArray(doc.wave) || doc.wave.length !== size) {
+      throw new Error("Saved grid data doesn't match its size");
+    }
+
+    const grid = new WFCGrid(width, height, {
+      ruleset,
+      seed: doc.seed ?? undefined,
+      maxBacktracks: doc.maxBacktracks ?? 0,
+      heuristic: doc.heuristic ?? DEFAULT_HEURISTIC,
+      wrap: doc.wrap ?? "none",
+      topology: doc.topology ?? DEFAULT_TOPOLOGY,
+      globalConstraints: doc.globalConstraints,
+    });
+    if (Number.isInteger(doc.origin) && doc.origin >= 0 && doc.origin < size) grid.origin = doc.origin;
+    if (doc.rng !== null && doc.rng !== undefined && doc.seed !== null) {
+      grid.random = createRng(grid.seed, doc.rng);
+    }
+
+    const n = grid.nTiles, W = grid.waveWords;
+    grid.wave.fill(0);
+    for (let i = 0; i < size; i++) {
+      const t = doc.collapsed[i];
+      if (!Number.isInteger(t) || t < -1 || t >= n) throw new Error(`Invalid tile at cell ${i}`);
+      if (t === -1) {
+        hexToWords(doc.wave[i], n, grid.wave, i * W);
+      } else {
+        grid.wave[i * W + (t >> 5)] = 1 << (t & 31);
+      }
+    }
+    for (const [key, tiles] of Object.entries(doc.constraints || {})) {
+      const idx = +key;
+      if (!Number.isInteger(idx) || idx < 0 || idx >= size) throw new Error(`Painted cell ${key} is off the grid`);
+      if (!Array.isArray(tiles) || tiles.length === 0 || !tiles.every(t => Number.isInteger(t) && t >= 0 && t < n)) {
+        throw new Error(`Invalid painted tiles at cell ${idx}`);
+      }
+      grid.constraints.set(idx, tiles.slice());
+      // What painting removed is known; anything else lost before the save isn't
+      const allowed = new Set(tiles);
+      for (let t = 0; t < n; t++) if (!allowed.has(t)) grid._causeKind[idx * n + t] = CAUSE_PAINT;
+    }
+
+    grid._rebuild();
+    // A save taken mid-step may not be fully propagated yet
+    if (options.repropagate ?? true) grid._settle();
+    grid.dirty.clear();
+    return grid;
+  }
+
+  // ── Cell diffs (worker ↔ page) ──────────────────────────────────────────
+
+  /**
+   * Pack the state of some cells into transferable typed arrays:
+   *   { indices: Int32Array, collapsed: Int16Array, waves: Uint32Array }
+   * `waves` holds each cell's `waveWords` words back to back.
+   *
+   * @param {Iterable<number>} indices
+   */
+  exportCells(indices) {
+    const list = Int32Array.from(indices);
+    const W = this.waveWords;
+    const collapsed = new Int16Array(list.length);
+    const waves = new Uint32Array(list.length * W);
+    list.forEach((idx, k) => {
+      collapsed[k] = this.collapsed[idx];
+      waves.set(this.wave.subarray(idx * W, (idx + 1) * W), k * W);
+    });
+    return { indices: list, collapsed, waves };
+  }
+
+  /** Apply an `exportCells` diff taken from a grid of the same shape. */
+  importCells({ indices, collapsed, waves }) {
+    const { nTiles: n, waveWords: W, wave } = this;
+    indices.forEach((idx, k) => {
+      if (this._hasGlobals) this._globalStatuses(idx);
+      wave.set(waves.subarray(k * W, (k + 1) * W), idx * W);
+      let c = 0;
+      for (let w = 0; w < W; w++) c += popcount(wave[idx * W + w]);
+      this.counts[idx] = c;
+      this.collapsed[idx] = collapsed[k];
+      this.dirty.add(idx);
+      if (this._hasGlobals) this._globalsChanged(idx, false);
+    });
+
+    // Neighbours' supports follow the imported waves
+    const D = this._sides;
+    for (const idx of indices) {
+      for (let d = 0; d < D; d++) {
+        const nb = this._nbr[idx * D + d];
+        if (nb < 0) continue;
+        const base = (nb * D + (d ^ 1)) * n;
+        const mask = (d ^ 1) * n;
+        for (let t = 0; t < n; t++) {
+          let s = 0;
+          for (let w = 0; w < W; w++) s += popcount(wave[idx * W + w] & this._compatMask[(mask + t) * W + w]);
+          this._support[base + t] = s;
+        }
+      }
+      if (this.collapsed[idx] === -1) this._heapPush(idx);
     }
   }
 
@@ -437,11 +1454,156 @@ export class WFCGrid {
 
   getTile(idx) {
     if (this.collapsed[idx] === -1) return null;
-    return ALL_TILES[this.collapsed[idx]];
+    return this.ruleset.tiles[this.collapsed[idx]];
+  }
+
+  /** Tile indices still possible in the cell, in ascending order. */
+  getOptions(idx) {
+    return this._tilesOf(idx);
+  }
+
+  /** Cell on side d of cell idx (sides per `topology`), or -1 past an edge. */
+  neighbour(idx, d) {
+    return this._nbr[idx * this._sides + d];
+  }
+
+  /** Tiles the ruleset allows on side d of tile t (sides per `topology`). */
+  allowedNeighbours(t, d) {
+    return this._compat[d][t];
+  }
+
+  /**
+   * Why a cell lost its options – for a contradiction, why its wave is empty:
+   *   { idx, empty, truncated, broken,
+   *     removals: [step],   // every tile the cell lost
+   *     chain:    [step] }  // its last removal, traced back to where it started
+   *   step = { idx, tile, rule, by, side, constraint }
+   * `rule` is a CAUSES name.  `by` is the removal that set this one off –
+   * or for a collapse, the tile chosen, and for a house pin, the house –
+   * as `{ idx, tile }`, else null.  `side` is the side of `idx` an
+   * adjacency removal came through, else -1.  `constraint` is
+   * `{ index, bound }` for a removal a global constraint forced – `bound`
+   * being "min", "max" or "cut" – else null.  The chain ends at a step
+   * with nothing further to follow: a collapse, a painted cell, a house or
+   * global rule or a removal from before the grid was loaded – or after
+   * MAX_CHAIN steps, with `truncated` set.
+   *
+   * When the cell is where the last contradiction broke a global
+   * constraint rather than ran out of options, `broken` is that
+   * constraint's index in `globalConstraints` (else -1), and the chain
+   * explains the removal that broke it.
+   *
+   * @param {number} idx
+   */
+  explainCell(idx) {
+    const { nTiles: n, _sides: D } = this;
+    const step = (i, t) => {
+      const kind = this._causeKind[i * n + t];
+      const cause = this._cause[i * n + t];
+      const by = cause >= 0 && (kind === CAUSE_ADJACENCY || kind === CAUSE_COLLAPSE || kind === CAUSE_HOUSE_PIN)
+        ? { idx: Math.floor(cause / n), tile: cause % n }
+        : null;
+      let side = -1;
+      if (kind === CAUSE_ADJACENCY) {
+        // The side the removal came through, or one nothing ever supported it on
+        for (let d = 0; d < D && side < 0; d++) {
+          const nb = this._nbr[i * D + d];
+          if (nb >= 0 && (by ? nb === by.idx : true) && this._support[(i * D + d) * n + t] === 0) side = d;
+        }
+      }
+      const constraint = kind === CAUSE_GLOBAL
+        ? { index: cause >> 2, bound: GLOBAL_BOUNDS[cause & 3] }
+        : null;
+      return { idx: i, tile: t, rule: CAUSES[kind], by, side, constraint };
+    };
+
+    const removals = [];
+    for (let t = 0; t < n; t++) if (!this._has(idx, t)) removals.push(step(idx, t));
+
+    const chain = [];
+    let truncated = false;
+    let [i, t] = [idx, this._lastBan[idx]];
+    while (t >= 0 && !this._has(i, t)) {
+      if (chain.length === MAX_CHAIN) { truncated = true; break; }
+      const s = step(i, t);
+      chain.push(s);
+      if (s.rule !== "adjacency" || !s.by) break;
+      [i, t] = [s.by.idx, s.by.tile];
+    }
+
+    const broken = this._contradiction === idx ? this._violated : -1;
+    return { idx, empty: this.counts[idx] === 0, truncated, broken, removals, chain };
   }
 
+  /**
+   * What a cell can still become, and what is holding it back:
+   *   { idx, painted: [tile] | null,
+   *     options: [{ tile, weight, p }],   // most likely first
+   *     sides:   [{ side, nb, rulesOut: [tile] }],
+   *     other:   [tile] }
+   * `p` is the chance `_collapseCell` would pick the tile now.  `rulesOut`
+   * lists the tiles the neighbour on that side leaves no support for (`nb`
+   * is -1 past an edge, with nothing ruled out); `other` the tiles the cell
+   * lost that every neighbour would still allow – to a collapse, a house
+   * or global rule, paint or a backtrack.
+   *
+   * @param {number} idx
+   */
+  inspectCell(idx) {
+    const { nTiles: n, _sides: D } = this;
+    const tiles = this._tilesOf(idx);
+    const weights = this._collapseWeights(tiles);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const options = tiles
+      .map((t, j) => ({ tile: t, weight: this.ruleset.weights[t], p: total > 0 ? weights[j] / total : 0 }))
+      .sort((a, b) => b.p - a.p || a.tile - b.tile);
+
+    const ruledOut = new Uint8Array(n);
+    const sides = [];
+    for (let d = 0; d < D; d++) {
+      const nb = this._nbr[idx * D + d];
+      const rulesOut = [];
+      if (nb >= 0) {
+        const base = (idx * D + d) * n;
+        for (let t = 0; t < n; t++) {
+          if (this._support[base + t] === 0) {
+            rulesOut.push(t);
+            ruledOut[t] = 1;
+          }
+        }
+      }
+      sides.push({ side: d, nb, rulesOut });
+    }
+
+    const other = [];
+    for (let t = 0; t < n; t++) if (!ruledOut[t] && !this._has(idx, t)) other.push(t);
+
+    return { idx, painted: this.constraints.get(idx) ?? null, options, sides, other };
+  }
+
+  /** Number of tiles still possible in the cell. */
   getEntropy(idx) {
-    return bitsCount(this.wave[idx]);
+    return this.counts[idx];
+  }
+
+  /** Shannon entropy of the cell's options, weighted like `_collapseCell`. */
+  getWeightedEntropy(idx) {
+    if (this.counts[idx] <= 1) return 0;
+    const W = this.waveWords, weights = this.ruleset.weights;
+    let sum = 0, sumLog = 0;
+    for (let w = 0; w < W; w++) {
+      for (let bits = this.wave[idx * W + w]; bits !== 0; bits &= bits - 1) {
+        const t = w * 32 + lowestBit(bits);
+        sum += weights[t];
+        sumLog += this._weightLogWeight[t];
+      }
+    }
+    return Math.log(sum) - sumLog / sum;
+  }
+
+  /** Fixed per-cell number in [0, 1) for breaking heuristic ties (see heuristics.js). */
+  tieBreak(idx) {
+    return this._noise[idx];
   }
 
   isCollapsed(idx) {
@@ -454,5 +1616,3 @@ export class WFCGrid {
     return c;
   }
 }
-
-export { ALL_TILES, N_TILES };
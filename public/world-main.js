@@ -0,0 +1,225 @@
+/**
+ * world-main.js – The infinite world page: a pannable view over chunks that
+ * world-worker.js generates on demand (see world.js).
+ */
+
+import { WorldRenderer, tileColour } from "./renderer.js";
+import { loadRuleset, BUILTIN_RULESETS } from "./ruleset.js";
+import { HEURISTICS, DEFAULT_HEURISTIC } from "./heuristics.js";
+import { normaliseSeed, randomSeed } from "./rng.js";
+
+// ── DOM refs ────────────────────────────────────────────────────────────────
+
+const canvas     = document.getElementById("world-canvas");
+const inputSeed  = document.getElementById("input-seed");
+const inputChunk = document.getElementById("input-chunk");
+const inputHeuristic = document.getElementById("input-heuristic");
+const inputRuleset = document.getElementById("input-ruleset");
+const btnReset   = document.getElementById("btn-reset");
+const btnZoomIn  = document.getElementById("btn-zoom-in");
+const btnZoomOut = document.getElementById("btn-zoom-out");
+const btnBorders = document.getElementById("btn-borders");
+const legendEl   = document.getElementById("legend");
+const statusText = document.getElementById("status-text");
+const statusSeed = document.getElementById("status-seed");
+const statusCount= document.getElementById("status-count");
+
+// ── State ───────────────────────────────────────────────────────────────────
+
+const ZOOM_LEVELS = [2, 3, 4, 6, 8, 12, 16, 24, 32];
+
+/** Chunks generating at once; more only queue up behind a pan. */
+const MAX_IN_FLIGHT = 2;
+
+/** Generated chunks kept on the page ("cx,cy" → chunk), oldest first. */
+const MAX_CHUNKS = 1024;
+
+let ruleset   = null;
+let renderer  = null;
+let worker    = null;
+let chunkSize = 32;
+let chunks    = new Map();
+let pending   = new Set();  // "cx,cy" keys requested from the worker
+let zoom      = 4;          // index into ZOOM_LEVELS
+let camX = 0, camY = 0;     // world cell at the view's top-left corner
+let frame = null;
+let failed = 0;
+
+const cellPx = () => ZOOM_LEVELS[zoom];
+
+// ── World ───────────────────────────────────────────────────────────────────
+
+/** Start a new world from the controls, centred on cell (0, 0). */
+function init() {
+  if (worker) worker.terminate();
+  chunks = new Map();
+  pending = new Set();
+  failed = 0;
+  chunkSize = +inputChunk.value;
+
+  const seed = normaliseSeed(inputSeed.value.trim() || randomSeed());
+  statusSeed.textContent = `seed ${seed}`;
+
+  worker = new Worker(new URL("./world-worker.js", import.meta.url), { type: "module" });
+  worker.onmessage = ({ data }) => {
+    if (data.type === "chunk") onChunk(data);
+    else if (data.type === "error") statusText.textContent = `⚠️ World error: ${data.message}`;
+  };
+  worker.onerror = (e) => { statusText.textContent = `⚠️ World error: ${e.message}`; };
+  worker.postMessage({
+    type: "init",
+    ruleset: ruleset.source,
+    seed,
+    chunkSize,
+    heuristic: inputHeuristic.value,
+  });
+
+  renderer = new WorldRenderer(canvas, ruleset, chunkSize);
+  renderer.showBorders = btnBorders.classList.contains("active");
+  camX = -canvas.width / cellPx() / 2;
+  camY = -canvas.height / cellPx() / 2;
+  redraw();
+}
+
+function onChunk({ cx, cy, tiles, ok }) {
+  const key = `${cx},${cy}`;
+  pending.delete(key);
+  if (!ok) failed++;
+  if (chunks.size >= MAX_CHUNKS) chunks.delete(chunks.keys().next().value);
+  chunks.set(key, { cx, cy, tiles, ok });
+  redraw();
+}
+
+/** Ask the worker for missing visible chunks, nearest to the centre first. */
+function requestChunks() {
+  const S = chunkSize;
+  const w = canvas.width / cellPx(), h = canvas.height / cellPx();
+  const [midX, midY] = [(camX + w / 2) / S - 0.5, (camY + h / 2) / S - 0.5];
+  const missing = [];
+  for (let cy = Math.floor(camY / S); cy <= Math.floor((camY + h) / S); cy++) {
+    for (let cx = Math.floor(camX / S); cx <= Math.floor((camX + w) / S); cx++) {
+      const key = `${cx},${cy}`;
+      if (!chunks.has(key) && !pending.has(key)) missing.push([cx, cy]);
+    }
+  }
+  missing.sort((a, b) => Math.hypot(a[0] - midX, a[1] - midY) - Math.hypot(b[0] - midX, b[1] - midY));
+  for (const [cx, cy] of missing) {
+    if (pending.size >= MAX_IN_FLIGHT) break;
+    pending.add(`${cx},${cy}`);
+    worker.postMessage({ type: "chunk", cx, cy });
+  }
+}
+
+// ── Drawing ─────────────────────────────────────────────────────────────────
+
+function redraw() {
+  if (frame === null) frame = requestAnimationFrame(draw);
+}
+
+function draw() {
+  frame = null;
+  renderer.draw(camX, camY, cellPx(), (cx, cy) => chunks.get(`${cx},${cy}`) || null);
+  requestChunks();
+
+  const [x, y] = [Math.floor(camX + canvas.width / cellPx() / 2), Math.floor(camY + canvas.height / cellPx() / 2)];
+  statusText.textContent = pending.size > 0 ? "Generating…" : `Centre (${x}, ${y})`;
+  statusCount.textContent = `${chunks.size} chunks` + (failed ? ` · ${failed} with contradictions` : "");
+}
+
+function setZoom(level, anchorX = canvas.width / 2, anchorY = canvas.height / 2) {
+  level = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, level));
+  if (level === zoom) return;
+  // Keep the world cell under the anchor where it is
+  const wx = camX + anchorX / cellPx(), wy = camY + anchorY / cellPx();
+  zoom = level;
+  camX = wx - anchorX / cellPx();
+  camY = wy - anchorY / cellPx();
+  redraw();
+}
+
+function buildLegend() {
+  legendEl.replaceChildren();
+  for (const entry of ruleset.legend) {
+    const el = document.createElement("span");
+    el.className = "legend-item";
+    const swatch = document.createElement("span");
+    swatch.className = "swatch";
+    swatch.style.background = tileColour(ruleset, entry);
+    el.append(swatch, ` ${entry.label}`);
+    legendEl.append(el);
+  }
+}
+
+// ── Event handlers ──────────────────────────────────────────────────────────
+
+/** Canvas pixels per CSS pixel (the canvas may be scaled down to fit). */
+function canvasScale() {
+  return canvas.width / canvas.getBoundingClientRect().width;
+}
+
+let drag = null;
+
+canvas.addEventListener("pointerdown", (e) => {
+  drag = { x: e.clientX, y: e.clientY };
+  canvas.setPointerCapture(e.pointerId);
+});
+canvas.addEventListener("pointermove", (e) => {
+  if (!drag) return;
+  const k = canvasScale() / cellPx();
+  camX -= (e.clientX - drag.x) * k;
+  camY -= (e.clientY - drag.y) * k;
+  drag = { x: e.clientX, y: e.clientY };
+  redraw();
+});
+for (const type of ["pointerup", "pointercancel"]) {
+  canvas.addEventListener(type, () => { drag = null; });
+}
+
+canvas.addEventListener("wheel", (e) => {
+  e.preventDefault();
+  const rect = canvas.getBoundingClientRect();
+  const k = canvasScale();
+  setZoom(zoom + (e.deltaY < 0 ? 1 : -1), (e.clientX - rect.left) * k, (e.clientY - rect.top) * k);
+}, { passive: false });
+
+document.addEventListener("keydown", (e) => {
+  if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+  const step = canvas.width / cellPx() / 8;
+  const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+  if (moves[e.key]) {
+    e.preventDefault();
+    camX += moves[e.key][0];
+    camY += moves[e.key][1];
+    redraw();
+  } else if (e.key === "+" || e.key === "=") {
+    setZoom(zoom + 1);
+  } else if (e.key === "-") {
+    setZoom(zoom - 1);
+  }
+});
+
+btnZoomIn.addEventListener("click", () => setZoom(zoom + 1));
+btnZoomOut.addEventListener("click", () => setZoom(zoom - 1));
+btnBorders.addEventListener("click", () => {
+  renderer.showBorders = btnBorders.classList.toggle("active");
+  redraw();
+});
+btnReset.addEventListener("click", init);
+inputSeed.addEventListener("change", init);
+inputChunk.addEventListener("change", init);
+inputHeuristic.addEventListener("change", init);
+inputRuleset.addEventListener("change", async () => {
+  ruleset = await loadRuleset(inputRuleset.value);
+  buildLegend();
+  init();
+});
+
+// ── Boot ────────────────────────────────────────────────────────────────────
+
+for (const h of HEURISTICS) inputHeuristic.add(new Option(h.name, h.id));
+inputHeuristic.value = DEFAULT_HEURISTIC;
+for (const r of BUILTIN_RULESETS) inputRuleset.add(new Option(r.name, r.url));
+
+ruleset = await loadRuleset(inputRuleset.value);
+buildLegend();
+init();
@@ -0,0 +1,39 @@
+/**
+ * world-worker.js – Generates `ChunkWorld` chunks off the main thread.
+ *
+ *   page → worker
+ *     { type: "init", ruleset, seed, chunkSize, heuristic }  – ruleset JSON
+ *     { type: "chunk", cx, cy }
+ *
+ *   worker → page
+ *     { type: "chunk", cx, cy, tiles, ok }   – see ChunkWorld.getChunk
+ *     { type: "error", message }
+ *
+ * Requests are answered in order; a new world is started by terminating the
+ * worker and creating another.
+ */
+
+import { ChunkWorld } from "./world.js";
+import { compileRuleset } from "./ruleset.js";
+
+let world = null;
+
+self.onmessage = ({ data }) => {
+  try {
+    if (data.type === "init") {
+      world = new ChunkWorld({
+        ruleset: compileRuleset(data.ruleset),
+        seed: data.seed,
+        chunkSize: data.chunkSize,
+        heuristic: data.heuristic,
+      });
+    } else if (data.type === "chunk") {
+      const { cx, cy, tiles, ok } = world.getChunk(data.cx, data.cy);
+      // The world keeps its copy, so send one the page may own
+      const copy = tiles.slice();
+      self.postMessage({ type: "chunk", cx, cy, tiles: copy, ok }, [copy.buffer]);
+    }
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,225 @@
+/**
+ * world.js – Infinite terrain built from fixed-size WFC chunks.
+ *
+ * Chunks can't simply be generated one by one against whatever neighbours
+ * happen to exist already: the result would depend on the order the user
+ * panned in.  Instead every chunk boundary is decided once, from the world
+ * seed and its own coordinates, and shared by the chunks on both sides:
+ *
+ *   1. corners – the cell on every (cx·S, cy·S) lattice point is a 1×1
+ *      collapse seeded by its coordinates;
+ *   2. seams – the S−1 cells between two corners along a lattice line,
+ *      collapsed with both corner tiles locked down the middle of a strip
+ *      with SEAM_MARGIN cells on either side, so every seam tile is checked
+ *      against the chunks it divides.  Horizontal seams come first; a
+ *      vertical one also has the ends of the horizontal seams it meets
+ *      locked, so the cells just inside a corner have tiles that fit both;
+ *   3. chunks – an (S+1)×(S+1) grid whose outer ring is the four seams
+ *      around it (locked), with the interior collapsed in between.
+ *
+ * A chunk owns its top row and left column (its top and left seams); the
+ * bottom and right seams belong to the next chunks but are identical there,
+ * so terrain stays valid across boundaries and any chunk can be generated
+ * on its own, in any order, with the same result.  Seams are chunk grid
+ * edges, so houses never sit on them (nor may they in the seam's strip); a
+ * house next to a seam sees all 8 of its neighbours in its own chunk grid.
+ */
+
+import { WFCGrid } from "./wfc.js";
+import { normaliseSeed, randomSeed } from "./rng.js";
+
+/** Seeds tried per seam or chunk before giving up on a contradiction. */
+const CHUNK_ATTEMPTS = 4;
+
+/**
+ * Cells either side of a seam solved along with it.  One is enough for
+ * plain adjacency; channels (roads, rivers) need a second to see that the
+ * cells just inside a corner can join up with both seams.
+ */
+const SEAM_MARGIN = 2;
+
+export class ChunkWorld {
+  /**
+   * @param {object} options
+   * @param {object} options.ruleset – compiled ruleset
+   * @param {number|string} [options.seed] – world seed (random if omitted)
+   * @param {number} [options.chunkSize=32] – cells per chunk side
+   * @param {number} [options.maxBacktracks=500] – backtrack budget per chunk
+   * @param {string} [options.heuristic] – cell-selection heuristic id
+   * @param {number} [options.maxChunks=1024] – generated chunks kept in memory;
+   *        the least recently used ones are dropped (and regenerated identically
+   *        if needed again)
+   */
+  constructor(options) {
+    this.ruleset = options.ruleset;
+    if (!this.ruleset) throw new Error("ChunkWorld needs a compiled ruleset");
+    this.seed = normaliseSeed(options.seed ?? randomSeed());
+    this.chunkSize = options.chunkSize ?? 32;
+    if (!Number.isInteger(this.chunkSize) || this.chunkSize < 4) {
+      throw new Error("Chunk size must be an integer of at least 4");
+    }
+    this.maxBacktracks = options.maxBacktracks ?? 500;
+    this.heuristic = options.heuristic;
+    this.maxChunks = options.maxChunks ?? 1024;
+
+    /** "cx,cy" → chunk, in least-recently-used order. */
+    this.chunks = new Map();
+    this._corners = new Map();
+    this._seams = new Map();
+    /** Tiles a seam cell may take: none needing a ring of neighbours. */
+    this._seamTiles = this.ruleset.tiles.flatMap((tile, i) =>
+      this.ruleset.terrains.get(tile.terrain).uniformNeighbours ? [] : [i]);
+  }
+
+  /**
+   * The chunk at chunk coordinates (cx, cy), generated on first use:
+   *   { cx, cy, tiles: Int16Array(S*S) row-major (-1 = unresolved), ok }
+   * `ok` is false if the interior could not be completed; its unresolved
+   * cells are left at -1.
+   */
+  getChunk(cx, cy) {
+    const key = `${cx},${cy}`;
+    let chunk = this.chunks.get(key);
+    if (chunk) {
+      this.chunks.delete(key);
+    } else {
+      chunk = this._generate(cx, cy);
+      if (this.chunks.size >= this.maxChunks) this.chunks.delete(this.chunks.keys().next().value);
+    }
+    this.chunks.set(key, chunk);
+    return chunk;
+  }
+
+  /** True when the chunk is already in memory. */
+  hasChunk(cx, cy) {
+    return this.chunks.has(`${cx},${cy}`);
+  }
+
+  /** Tile index at world cell (x, y), generating its chunk if needed. */
+  tileAt(x, y) {
+    const S = this.chunkSize;
+    const cx = Math.floor(x / S), cy = Math.floor(y / S);
+    return this.getChunk(cx, cy).tiles[(y - cy * S) * S + (x - cx * S)];
+  }
+
+  /** Seed for one piece of the world, derived from the world seed. */
+  _seed(kind, x, y, attempt = 0) {
+    return normaliseSeed(`${this.seed}:${kind}:${x},${y}:${attempt}`);
+  }
+
+  _grid(width, height, seed) {
+    return new WFCGrid(width, height, {
+      ruleset: this.ruleset,
+      seed,
+      maxBacktracks: this.maxBacktracks,
+      heuristic: this.heuristic,
+      // A chunk is a piece of the world, not a map of its own
+      globalConstraints: [],
+    });
+  }
+
+  /** Tile on the lattice point at world cell (x, y). */
+  _corner(x, y) {
+    const key = `${x},${y}`;
+    let tile = this._corners.get(key);
+    if (tile === undefined) {
+      const grid = this._grid(1, 1, this._seed("corner", x, y));
+      finish(grid);
+      tile = grid.collapsed[0];
+      remember(this._corners, key, tile, 4 * this.maxChunks);
+    }
+    return tile;
+  }
+
+  /**
+   * Tiles of the seam starting at lattice point (cx, cy) and running right
+   * ("h") or down ("v") to the next one: S + 1 tiles including both corners.
+   */
+  _seam(dir, cx, cy) {
+    const key = `${dir}${cx},${cy}`;
+    let tiles = this._seams.get(key);
+    if (tiles) return tiles;
+
+    const S = this.chunkSize, M = SEAM_MARGIN, W = 2 * M + 1;
+    const [x, y] = [cx * S, cy * S];
+    // Cells to lock as [along, across, tile]: the seam runs along the middle
+    // (across = M) of a strip S + 1 long and W wide
+    const locks = [[0, M, this._corner(x, y)]];
+    if (dir === "h") {
+      locks.push([S, M, this._corner(x + S, y)]);
+    } else {
+      locks.push([S, M, this._corner(x, y + S)]);
+      // The horizontal seams' cells either side of both ends
+      for (const [along, row] of [[0, cy], [S, cy + 1]]) {
+        const before = this._seam("h", cx - 1, row), after = this._seam("h", cx, row);
+        for (let k = 1; k <= M; k++) locks.push([along, M - k, before[S - k]], [along, M + k, after[k]]);
+      }
+    }
+
+    let grid = null;
+    let ok = false;
+    for (let attempt = 0; attempt < CHUNK_ATTEMPTS && !ok; attempt++) {
+      grid = dir === "h"
+        ? this._grid(S + 1, W, this._seed("seam-h", cx, cy, attempt))
+        : this._grid(W, S + 1, this._seed("seam-v", cx, cy, attempt));
+      const at = (along, across) => dir === "h" ? across * (S + 1) + along : along * W + across;
+      for (let i = 1; i < S; i++) grid.constrain(at(i, M), this._seamTiles);
+      for (const [along, across, tile] of locks) {
+        if (tile !== -1) grid.setTile(at(along, across), tile);
+      }
+      ok = finish(grid);
+    }
+
+    // A seam that can't be completed keeps -1 where it failed; each chunk
+    // then fills those cells on its own, so only they may not match up
+    tiles = Int16Array.from({ length: S + 1 }, (_, i) => grid.collapsed[dir === "h" ? M * (S + 1) + i : i * W + M]);
+    remember(this._seams, key, tiles, 4 * this.maxChunks);
+    return tiles;
+  }
+
+  _generate(cx, cy) {
+    const S = this.chunkSize, N = S + 1;
+    const top = this._seam("h", cx, cy);
+    const bottom = this._seam("h", cx, cy + 1);
+    const left = this._seam("v", cx, cy);
+    const right = this._seam("v", cx + 1, cy);
+
+    let grid = null;
+    let ok = false;
+    for (let attempt = 0; attempt < CHUNK_ATTEMPTS && !ok; attempt++) {
+      grid = this._grid(N, N, this._seed("chunk", cx, cy, attempt));
+      // A seam cell that clashes with the rest is left to the chunk; every
+      // other one is still locked, so the chunk matches its neighbours there
+      let locked = true;
+      const lock = (idx, tile) => { if (tile !== -1 && !grid.setTile(idx, tile).ok) locked = false; };
+      for (let i = 0; i <= S; i++) {
+        lock(i, top[i]);
+        lock(S * N + i, bottom[i]);
+        lock(i * N, left[i]);
+        lock(i * N + S, right[i]);
+      }
+      // If the seams themselves clash no seed can fix it: fill in what we can
+      ok = finish(grid) && locked;
+      if (!locked) break;
+    }
+
+    const tiles = new Int16Array(S * S);
+    for (let y = 0; y < S; y++) {
+      for (let x = 0; x < S; x++) tiles[y * S + x] = grid.collapsed[y * N + x];
+    }
+    return { cx, cy, tiles, ok };
+  }
+}
+
+/** Cache a value, dropping everything once the cache outgrows `limit`. */
+function remember(map, key, value, limit) {
+  if (map.size >= limit) map.clear();
+  map.set(key, value);
+}
+
+/** Run a grid to the end; true when every cell collapsed. */
+function finish(grid) {
+  let last = null;
+  for (const event of grid.run()) last = event;
+  return last?.type === "done";
+}
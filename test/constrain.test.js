@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { WFCGrid } from "../public/wfc.js";
+import { compileRuleset } from "../public/ruleset.js";
+
+const ruleset = compileRuleset(JSON.parse(readFileSync(new URL("../public/rulesets/default.json", import.meta.url), "utf8")));
+const tilesOf = terrain => ruleset.tiles.flatMap((tile, i) => tile.terrain === terrain ? [i] : []);
+
+test("erasing a painted cell frees its painted neighbour", () => {
+  const grid = new WFCGrid(10, 10, { ruleset, seed: 1 });
+  assert.ok(grid.constrain(55, [{ terrain: "sea" }]).ok);
+  assert.ok(grid.constrain(56, [{ terrain: "ground" }]).ok);
+
+  // Next to sea only the lowest ground is left, but the paint keeps every level
+  assert.deepEqual(grid.constraints.get(56), tilesOf("ground"));
+  assert.ok(grid.getOptions(56).length < tilesOf("ground").length);
+
+  grid.unconstrain(55);
+  assert.deepEqual(grid.constraints.get(56), tilesOf("ground"));
+  assert.deepEqual(grid.getOptions(56), tilesOf("ground"));
+});
+
+test("painting the same cell twice keeps the intersection", () => {
+  const grid = new WFCGrid(10, 10, { ruleset, seed: 1 });
+  const ground = tilesOf("ground");
+  assert.ok(grid.constrain(20, ground.slice(0, 4)).ok);
+  assert.ok(grid.constrain(20, ground.slice(2)).ok);
+  assert.deepEqual(grid.constraints.get(20), ground.slice(2, 4));
+});
+
+test("cells off the grid are refused like an impossible paint", () => {
+  const grid = new WFCGrid(10, 10, { ruleset, seed: 1 });
+  for (const idx of [-1, 100, 2.5, NaN]) {
+    assert.deepEqual(grid.constrain(idx, [{ terrain: "sea" }]), { ok: false, idx, explanation: null });
+  }
+  const doc = grid.toJSON();
+  doc.constraints = { 100: tilesOf("sea") };
+  assert.throws(() => WFCGrid.fromJSON(doc, { ruleset }), /off the grid/);
+});
+
+test("erasing several cells at once frees each of them", () => {
+  const grid = new WFCGrid(10, 10, { ruleset, seed: 1 });
+  assert.ok(grid.constrain(55, [{ terrain: "sea" }]).ok);
+  assert.ok(grid.constrain(56, [{ terrain: "ground" }]).ok);
+  assert.ok(grid.constrain(57, [{ terrain: "ground" }]).ok);
+  grid.unconstrain([55, 57]);
+  assert.deepEqual([...grid.constraints.keys()], [56]);
+  assert.deepEqual(grid.getOptions(56), tilesOf("ground"));
+});
+
+test("a road may end at a house's door without ringing it", () => {
+  const landscape = compileRuleset(JSON.parse(readFileSync(new URL("../public/rulesets/landscape.json", import.meta.url), "utf8")));
+  const of = terrain => landscape.tiles.flatMap((tile, i) => tile.terrain === terrain ? [i] : []);
+  // Square sides are west, east, north, south: west of the house, a road
+  // leaving east runs into it
+  const door = of("road").filter(i => landscape.tiles[i].links.includes(1));
+
+  const grid = new WFCGrid(10, 10, { ruleset: landscape, seed: 1 });
+  assert.ok(grid.constrain(55, of("house")).ok);
+  assert.ok(grid.constrain(54, door).ok);
+  assert.ok(grid.constrain(56, of("ground")).ok);
+
+  // A corner of the ring is no door
+  const corner = new WFCGrid(10, 10, { ruleset: landscape, seed: 1 });
+  assert.ok(corner.constrain(55, of("house")).ok);
+  assert.ok(corner.constrain(56, of("ground")).ok);
+  assert.equal(corner.constrain(44, of("road")).ok, false);
+});
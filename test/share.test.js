@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { encodeLink, decodeLink } from "../public/share.js";
+
+test("links outside the page's grid sizes are refused", () => {
+  assert.equal(decodeLink("#v=1&rules=default&w=24&h=14").width, 24);
+  assert.throws(() => decodeLink("#v=1&rules=default&w=500&h=14"), /width must be 4 to 300/);
+  assert.throws(() => decodeLink("#v=1&rules=default&w=24&h=2"), /height must be 4 to 300/);
+});
+
+test("cell runs must stay on the map and run forwards", () => {
+  assert.deepEqual(decodeLink("#v=1&rules=default&w=4&h=4&paint=sea:2-4").paint.map(([idx]) => idx), [2, 3, 4]);
+  assert.throws(() => decodeLink("#v=1&rules=default&w=4&h=4&paint=sea:0-zzzzzz"), /off the map/);
+  assert.throws(() => decodeLink("#v=1&rules=default&w=4&h=4&paint=sea:4-2"), /runs backwards/);
+});
+
+test("a map first generated by a re-roll links without a start cell", () => {
+  const rerolls = [{ start: 12, cells: [11, 12, 13, 21, 22, 23] }, { start: 40, cells: [40, 41] }];
+  const hash = encodeLink({ ruleset: { id: "default" }, width: 10, height: 8, seed: 5, start: -1, rerolls });
+  const link = decodeLink(hash);
+  assert.equal(link.start, undefined);
+  assert.deepEqual(link.rerolls, rerolls);
+});
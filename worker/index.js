@@ -0,0 +1,190 @@
+/**
+ * worker/index.js – The Cloudflare Worker: serves `public/` as static assets
+ * and generates maps over HTTP.
+ *
+ *   GET /api/generate?width=40&height=30&seed=42&start=20,15&format=svg
+ *
+ * Runs `WFCGrid` to completion and returns the map as a save file (`json`,
+ * the default – the page's Load opens it), `csv` or `svg` (see
+ * public/export.js).  Every parameter is optional:
+ *
+ *   width, height  grid size, up to MAX_SIDE a side and the ruleset's
+ *                  MAX_CELLS in all (default 40 × 30, as the CLI)
+ *   seed           number or any text; random when left out
+ *   start          start cell "x,y" (default: the centre)
+ *   ruleset        id of a bundled ruleset (default "default")
+ *
+ * The same query always gives the same map, so seeded responses may be
+ * cached – at the edge and by clients.  Unseeded ones aren't, and report the
+ * seed they used in `X-Seed` so the map can be asked for again.  Bad
+ * parameters get a 400, a map bigger than its ruleset allows a 413, a map
+ * that runs out of backtracks a 422 and
+ * anything else that goes wrong a 500, all with `{ error }` and never
+ * cached.
+ */
+
+import { WFCGrid } from "../public/wfc.js";
+import { compileRuleset, BUILTIN_RULESETS } from "../public/ruleset.js";
+import { getExportFormat } from "../public/export.js";
+import { normaliseSeed, randomSeed } from "../public/rng.js";
+
+/** Largest width or height a request can ask for. */
+const MAX_SIDE = 200;
+
+/**
+ * Most cells a request can ask for, by ruleset, so no map takes much more
+ * than half a second of CPU.  Landscape's channel tiles make it about ten
+ * times as slow per cell as the others.
+ */
+const MAX_CELLS = { default: 20000, smooth: 20000, landscape: 2000 };
+
+/** Backtrack budget per map, as the CLI's default. */
+const BACKTRACKS = 1000;
+
+/**
+ * How long a seeded map may be cached, in seconds.  Not forever: a new
+ * deployment with a changed engine or ruleset can give a seed another map.
+ */
+const CACHE_SECONDS = 86400;
+
+const FORMATS = {
+  json: { type: "application/json", write: grid => JSON.stringify(grid.toJSON()) },
+  csv: getExportFormat("csv"),
+  svg: getExportFormat("svg"),
+};
+
+const PARAMS = ["width", "height", "seed", "start", "format", "ruleset"];
+
+/** Compiled bundled rulesets, by id, kept for the life of the isolate. */
+const rulesets = new Map();
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    if (url.pathname !== "/api/generate") return env.ASSETS.fetch(request);
+    if (request.method !== "GET" && request.method !== "HEAD") {
+      return new Response("Method not allowed", { status: 405, headers: { Allow: "GET, HEAD" } });
+    }
+
+    let query;
+    try {
+      query = parseQuery(url.searchParams);
+    } catch (err) {
+      return error(400, err.message);
+    }
+    // A bundled ruleset not yet measured gets the strictest limit
+    const maxCells = MAX_CELLS[query.ruleset] ?? Math.min(...Object.values(MAX_CELLS));
+    if (query.width * query.height > maxCells) {
+      return error(413, `width × height must be at most ${maxCells} cells with the ${query.ruleset} ruleset`);
+    }
+
+    // Cache under the query as parsed, so "seed=042&width=40" and
+    // "width=40&seed=42" share an entry
+    const key = query.seeded ? new Request(canonicalUrl(url, query)) : null;
+    if (key) {
+      const hit = await caches.default.match(key);
+      if (hit) return hit;
+    }
+
+    // A ruleset that won't load or compile still gets a JSON body
+    let response;
+    try {
+      response = await generate(query, env, url);
+    } catch (err) {
+      return error(500, err.message);
+    }
+    if (key && response.ok) ctx.waitUntil(caches.default.put(key, response.clone()));
+    return response;
+  },
+};
+
+// ── Generation ──────────────────────────────────────────────────────────────
+
+async function generate(query, env, url) {
+  const ruleset = await bundledRuleset(query.ruleset, env, url);
+  const grid = new WFCGrid(query.width, query.height, {
+    ruleset,
+    seed: query.seed,
+    maxBacktracks: BACKTRACKS,
+    topology: ruleset.topology,
+  });
+  let last = null;
+  for (const event of grid.run(query.start)) last = event;
+
+  const headers = {
+    "X-Seed": String(grid.seed),
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": query.seeded ? `public, max-age=${CACHE_SECONDS}` : "no-store",
+  };
+  if (last?.type !== "done") {
+    return error(422, `Contradiction at cell (${last.idx % grid.width}, ${Math.floor(last.idx / grid.width)}) ` +
+      `after ${grid.backtracks} backtracks – try another seed`, headers);
+  }
+  const format = FORMATS[query.format];
+  return new Response(format.write(grid), {
+    headers: { ...headers, "Content-Type": `${format.type}; charset=utf-8` },
+  });
+}
+
+/** Compile a bundled ruleset from the static assets (once per isolate). */
+async function bundledRuleset(id, env, url) {
+  if (!rulesets.has(id)) {
+    const { url: path } = BUILTIN_RULESETS.find(r => r.id === id);
+    const res = await env.ASSETS.fetch(new URL(`/${path}`, url));
+    if (!res.ok) throw new Error(`Could not load ruleset ${path} (${res.status})`);
+    rulesets.set(id, compileRuleset(await res.json()));
+  }
+  return rulesets.get(id);
+}
+
+// ── Query ───────────────────────────────────────────────────────────────────
+
+/** Check the query string; throws an Error naming the first problem. */
+function parseQuery(params) {
+  for (const name of new Set(params.keys())) {
+    if (!PARAMS.includes(name)) throw new Error(`Unknown parameter "${name}"; expected ${PARAMS.join(", ")}`);
+    if (params.getAll(name).length > 1) throw new Error(`"${name}" is given more than once`);
+  }
+  const width = int(params.get("width") ?? 40, "width", 1, MAX_SIDE);
+  const height = int(params.get("height") ?? 30, "height", 1, MAX_SIDE);
+
+  let start = Math.floor(height / 2) * width + Math.floor(width / 2);
+  if (params.has("start")) {
+    const m = /^(\d+),(\d+)$/.exec(params.get("start"));
+    if (!m || +m[1] >= width || +m[2] >= height) throw new Error("start must be x,y inside the grid");
+    start = +m[2] * width + +m[1];
+  }
+
+  const format = params.get("format") ?? "json";
+  if (!FORMATS[format]) throw new Error(`format must be one of ${Object.keys(FORMATS).join(", ")}`);
+  const ruleset = params.get("ruleset") ?? "default";
+  if (!BUILTIN_RULESETS.some(r => r.id === ruleset)) {
+    throw new Error(`ruleset must be one of ${BUILTIN_RULESETS.map(r => r.id).join(", ")}`);
+  }
+
+  const seeded = params.has("seed");
+  // An empty seed would be cached as seeded while meaning nothing in particular
+  if (seeded && params.get("seed").trim() === "") throw new Error("seed must not be empty; leave it out for a random one");
+  const seed = normaliseSeed(seeded ? params.get("seed") : randomSeed());
+  return { width, height, start, format, ruleset, seed, seeded };
+}
+
+function int(value, name, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  return n;
+}
+
+function canonicalUrl(url, query) {
+  const { width, height, start, format, ruleset, seed } = query;
+  const cell = `${start % width},${Math.floor(start / width)}`;
+  return `${url.origin}/api/generate?ruleset=${ruleset}&width=${width}&height=${height}&seed=${seed}&start=${cell}&format=${format}`;
+}
+
+/** JSON error response; never cached, so a later fix isn't hidden behind it. */
+function error(status, message, headers = {}) {
+  return Response.json({ error: message }, {
+    status,
+    headers: { "Access-Control-Allow-Origin": "*", ...headers, "Cache-Control": "no-store" },
+  });
+}